@@ -0,0 +1,269 @@
+/* abc.js */
+
+/**
+ * Minimal ABC notation reader for tune analysis.
+ *
+ * Only the melody is read: the pitch and length of each note, with the key
+ * signature and bar accidentals applied. Chord symbols, decorations, grace
+ * notes and lyrics are skipped, the first note of a chord [CEG] is taken as
+ * the melody, and repeats are not expanded. Pitches follow the ABC standard:
+ * C is middle C (C4), c is C5, with ' and , for the octaves above and below.
+ */
+
+/** Semitones above C of each note letter. */
+const ABC_LETTER_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/** Position of each letter on the circle of fifths, counted from C. */
+const ABC_LETTER_FIFTHS = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+
+/** Key signature shift (in fifths, from the major key) of each mode. */
+const ABC_MODE_FIFTHS = { maj: 0, ion: 0, mix: -1, dor: -2, m: -3, min: -3, aeo: -3, phr: -4, loc: -5, lyd: 1 };
+
+const ABC_SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const ABC_FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+
+/**
+ * Parse an ABC fraction such as "1/8" (for L:) or "6/8" (for M:).
+ * Returns the value, or null.
+ */
+function parseAbcFraction(text) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)/.exec(text);
+  if (!match || parseInt(match[2], 10) === 0) return null;
+  return parseInt(match[1], 10) / parseInt(match[2], 10);
+}
+
+/**
+ * Key signature of a K: field such as "G", "Dm", "Ador", "F#mix" or "Bb".
+ * Returns { name, accidentals, useFlats } where accidentals maps letters to
+ * +1/-1, or null if the key is not understood. "none" and "HP" have no signature.
+ */
+function parseAbcKey(text) {
+  const field = text.trim();
+  if (field === '' || /^(none|HP|Hp)\b/.test(field)) return { name: field || 'C', accidentals: {}, useFlats: false };
+
+  const match = /^([A-G])([#b]?)\s*([A-Za-z]*)/.exec(field);
+  if (!match) return null;
+  const [, letter, accidental, word] = match;
+  // Anything after the key that isn't a mode (clef=bass...) leaves it major
+  const mode = (word === 'm') ? 'm' : word.toLowerCase().slice(0, 3);
+  const modeKey = (mode in ABC_MODE_FIFTHS) ? mode : 'maj';
+  const modeText = (modeKey === 'maj') ? '' : word;
+
+  let fifths = ABC_LETTER_FIFTHS[letter] + ABC_MODE_FIFTHS[modeKey];
+  if (accidental === '#') fifths += 7;
+  if (accidental === 'b') fifths -= 7;
+  if (fifths < -7 || fifths > 7) return null;
+
+  const accidentals = {};
+  if (fifths > 0) ABC_SHARP_ORDER.slice(0, fifths).forEach(l => accidentals[l] = 1);
+  if (fifths < 0) ABC_FLAT_ORDER.slice(0, -fifths).forEach(l => accidentals[l] = -1);
+  return { name: `${letter}${accidental}${modeText}`, accidentals: accidentals, useFlats: fifths < 0 };
+}
+
+/**
+ * Length multiplier of a note from its suffix: "" => 1, "2" => 2, "/" => 1/2,
+ * "//" => 1/4, "3/2" => 3/2, "/4" => 1/4.
+ */
+function parseAbcLength(numText, slashes, denText) {
+  const num = numText === '' ? 1 : parseInt(numText, 10);
+  if (slashes === '') return num;
+  const den = denText === '' ? Math.pow(2, slashes.length) : parseInt(denText, 10);
+  return den > 0 ? num / den : num;
+}
+
+/**
+ * Read a tune in ABC notation (the first tune if there are several).
+ * Returns { tune, errors } where tune is
+ * { title, key, useFlats, notes: [{ midi, duration, bar }], source: 'ABC' } with
+ * durations in whole notes and bars counted from 0 (useFlats: the key signature
+ * has flats), or null if no notes were found.
+ */
+function parseAbcTune(text) {
+  const state = { key: parseAbcKey('C'), unitLength: null, notes: [], errors: [], tieNext: false, bar: 0 };
+  let title = '';
+  let keyName = '';
+  let useFlats = false;
+  let meter = null;
+  let inBody = false;
+  let tunesSeen = 0;
+
+  // Notes are read once the K: field ends the header
+  const lines = (text || '').split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/%.*$/, '');
+    const field = /^([A-Za-z]):(.*)$/.exec(line.trim());
+
+    if (field) {
+      const [, name, value] = field;
+      if (name === 'X') {
+        tunesSeen++;
+        if (tunesSeen > 1) break;
+      } else if (name === 'T' && title === '') {
+        title = value.trim();
+      } else if (name === 'L') {
+        state.unitLength = parseAbcFraction(value);
+      } else if (name === 'M') {
+        meter = /^\s*C\|?\s*$/.test(value) ? 1 : parseAbcFraction(value);
+      } else if (name === 'K') {
+        const parsed = parseAbcKey(value);
+        if (parsed) state.key = parsed;
+        else state.errors.push(`Line ${i + 1}: unknown key "${value.trim()}", read as C major`);
+        if (!inBody) {
+          keyName = state.key.name;
+          useFlats = state.key.useFlats;
+        }
+        inBody = true;
+      }
+      continue;
+    }
+    if (!inBody || line.trim() === '') continue;
+
+    // The standard default note length: 1/16 for meters under 3/4, else 1/8
+    if (state.unitLength === null) state.unitLength = (meter !== null && meter < 0.75) ? 1 / 16 : 1 / 8;
+    readAbcMusicLine(line, i + 1, state);
+  }
+
+  if (state.notes.length === 0) {
+    state.errors.push(inBody ? 'The tune has no notes' : 'No K: (key) line found - it ends the ABC header');
+    return { tune: null, errors: state.errors };
+  }
+  return {
+    tune: { title: title || 'Untitled', key: keyName, useFlats: useFlats, notes: state.notes, source: 'ABC' },
+    errors: state.errors
+  };
+}
+
+/**
+ * Read one line of ABC music into state.notes. Accidentals last until the
+ * next bar line; ties join notes; broken rhythm (> <) and tuplets (3abc adjust
+ * the lengths. Inline fields such as [K:D] or [L:1/16] change the key or length
+ * from there on.
+ */
+function readAbcMusicLine(line, lineNumber, state) {
+  const noteRe = /^([_^=]*)([A-Ga-g])([,']*)(\d*)(\/*)(\d*)/;
+  let barAccidentals = {};
+  let chordDepth = 0;
+  let chordHasNote = false;
+  let broken = null;
+  let tuplet = null;
+  let pos = 0;
+
+  while (pos < line.length) {
+    const rest = line.slice(pos);
+    const ch = line[pos];
+
+    // Skipped text: chord symbols/annotations, decorations, grace notes
+    const skip = /^("[^"]*"|![^!]*!|\+[^+\s]*\+|\{[^}]*\})/.exec(rest);
+    if (skip) { pos += skip[0].length; continue; }
+
+    const inline = /^\[([A-Za-z]):([^\]]*)\]/.exec(rest);
+    if (inline) {
+      if (inline[1] === 'K') {
+        const parsed = parseAbcKey(inline[2]);
+        if (parsed) state.key = parsed;
+      } else if (inline[1] === 'L') {
+        state.unitLength = parseAbcFraction(inline[2]) || state.unitLength;
+      }
+      pos += inline[0].length;
+      continue;
+    }
+
+    // Bar lines and repeat endings reset the bar accidentals
+    const bar = /^(\|+|\|?:+\|?|\[\||\|\]|\[\d+|\|\d+)/.exec(rest);
+    if (bar && !/^\[[A-Ga-g_^=]/.test(rest)) {
+      barAccidentals = {};
+      // Double bars and repeat signs side by side start one new bar
+      const last = state.notes[state.notes.length - 1];
+      if (last && last.bar === state.bar) state.bar++;
+      pos += bar[0].length;
+      continue;
+    }
+
+    const tupletMatch = /^\((\d)/.exec(rest);
+    if (tupletMatch) {
+      const p = parseInt(tupletMatch[1], 10);
+      // p notes in the time of q: q is 3 for (2, (4 and (8, else 2
+      const q = [2, 4, 8].includes(p) ? 3 : 2;
+      tuplet = { ratio: q / p, left: p };
+      pos += tupletMatch[0].length;
+      continue;
+    }
+
+    if (ch === '[') { chordDepth++; chordHasNote = false; pos++; continue; }
+    if (ch === ']') {
+      // A length after the chord applies to its melody note
+      const chordLength = /^\](\d*)(\/*)(\d*)/.exec(rest);
+      const last = state.notes[state.notes.length - 1];
+      if (chordDepth > 0 && chordHasNote && last && chordLength[0].length > 1) {
+        last.duration *= parseAbcLength(chordLength[1], chordLength[2], chordLength[3]);
+      }
+      chordDepth = Math.max(0, chordDepth - 1);
+      pos += chordLength[0].length;
+      continue;
+    }
+    if (ch === '-') { state.tieNext = true; pos++; continue; }
+    if (ch === '>' || ch === '<') {
+      const count = /^[<>]+/.exec(rest)[0].length;
+      // a>b: the first note is dotted, the second shortened by the same
+      const factor = 1 - Math.pow(0.5, count);
+      const last = state.notes[state.notes.length - 1];
+      if (last && last.baseDuration !== undefined) {
+        const change = last.baseDuration * factor;
+        last.duration += (ch === '>') ? change : -change;
+        broken = (ch === '>') ? 1 - factor : 1 + factor;
+      }
+      pos += count;
+      continue;
+    }
+
+    const restNote = /^[zxZX]\d*\/*\d*/.exec(rest);
+    if (restNote) { state.tieNext = false; pos += restNote[0].length; continue; }
+
+    const note = noteRe.exec(rest);
+    if (note) {
+      pos += note[0].length;
+      const [, accidentalText, letter, octaveText, numText, slashes, denText] = note;
+
+      // Only the first note of a chord is the melody
+      if (chordDepth > 0 && chordHasNote) continue;
+      if (chordDepth > 0) chordHasNote = true;
+
+      const upper = letter.toUpperCase();
+      let midi = 60 + ABC_LETTER_SEMITONES[upper] + (letter === upper ? 0 : 12);
+      for (const mark of octaveText) midi += (mark === "'") ? 12 : -12;
+
+      // Explicit accidentals hold for the rest of the bar, at that octave
+      const barKey = `${letter}${octaveText}`;
+      if (accidentalText !== '') {
+        let shift = 0;
+        for (const mark of accidentalText) shift += (mark === '^') ? 1 : (mark === '_') ? -1 : 0;
+        barAccidentals[barKey] = shift;
+      }
+      midi += (barKey in barAccidentals) ? barAccidentals[barKey] : (state.key.accidentals[upper] || 0);
+
+      let duration = parseAbcLength(numText, slashes, denText) * state.unitLength;
+      if (tuplet) {
+        duration *= tuplet.ratio;
+        if (--tuplet.left === 0) tuplet = null;
+      }
+      const baseDuration = duration;
+      if (broken !== null) { duration *= broken; broken = null; }
+
+      const last = state.notes[state.notes.length - 1];
+      if (state.tieNext && last && last.midi === midi) {
+        last.duration += duration;
+      } else if (midi < MIN_MIDI_NOTE || midi > MAX_MIDI_NOTE) {
+        state.errors.push(`Line ${lineNumber}: ${letter}${octaveText} is outside C0..C8 and was skipped`);
+      } else {
+        state.notes.push({ midi: midi, duration: duration, bar: state.bar, baseDuration: baseDuration });
+      }
+      state.tieNext = false;
+      continue;
+    }
+
+    pos++;
+  }
+
+  // Broken rhythm doesn't carry over a line break
+  state.notes.forEach(n => delete n.baseDuration);
+}
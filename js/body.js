@@ -0,0 +1,237 @@
+/* body.js */
+
+/**
+ * Acoustics of the body. The air cavity is the frame cut-out (see
+ * drawTalharpaFrameSVG) closed by the two soundboards, so its volume is the
+ * cut-out's area times the frame depth. With the soundhole as the neck of a
+ * Helmholtz resonator:
+ *
+ *   f = c / (2π) × √(A / (V × L))
+ *
+ * A being the soundhole area, V the cavity volume and L the effective neck
+ * length: the soundboard thickness plus an end correction at each side.
+ *
+ * The soundboard over the cut-out is an orthotropic plate, the grain along
+ * the body, whose thickness is chosen by wood species to be as stiff as the
+ * reference spruce board.
+ */
+
+/** Speed of sound in air at 20 °C (mm/s). */
+const SPEED_OF_SOUND_MM_S = 343000;
+
+/** Frame wall thickness around the cut-out: sides, and at the tail (mm). */
+const FRAME_SIDE_WALL_MM = 7;
+const FRAME_TAIL_WALL_MM = 18;
+
+/** Soundboard thickness of the reference spruce build (mm). */
+const DEFAULT_SOUNDBOARD_THICKNESS_MM = 6;
+
+/**
+ * Soundboard woods: density (kg/m³) and Young's modulus along and across the
+ * grain (GPa, quarter-sawn), typical values from the Wood Handbook. Boards
+ * vary by 20% or more, so these are a starting point for tap-testing.
+ */
+const WOOD_SPECIES = {
+  spruce:     { name: 'Spruce (reference)', density: 420, modulusAlongGPa: 11.0, modulusAcrossGPa: 0.85 },
+  cedar:      { name: 'Western red cedar',  density: 370, modulusAlongGPa: 7.7,  modulusAcrossGPa: 0.62 },
+  pine:       { name: 'Scots pine',         density: 510, modulusAlongGPa: 10.0, modulusAcrossGPa: 0.80 },
+  douglasFir: { name: 'Douglas fir',        density: 530, modulusAlongGPa: 13.4, modulusAcrossGPa: 0.91 },
+  poplar:     { name: 'Poplar',             density: 450, modulusAlongGPa: 10.9, modulusAcrossGPa: 1.00 },
+  mahogany:   { name: 'Mahogany',           density: 540, modulusAlongGPa: 10.3, modulusAcrossGPa: 1.10 },
+  walnut:     { name: 'Walnut',             density: 610, modulusAlongGPa: 11.6, modulusAcrossGPa: 1.23 },
+  birch:      { name: 'Birch',              density: 620, modulusAlongGPa: 13.9, modulusAcrossGPa: 1.08 },
+  maple:      { name: 'Maple',              density: 700, modulusAlongGPa: 12.6, modulusAcrossGPa: 1.66 }
+};
+
+/** The wood the soundboard thicknesses are matched to. */
+const REFERENCE_WOOD = 'spruce';
+
+/** Plate modes listed: (m, n) half-waves along and across the grain. */
+const PLATE_MODES = [[1, 1], [2, 1], [1, 2], [3, 1], [2, 2]];
+
+/** End correction of a hole in a plate, × its radius (0.85 r flanged, each side). */
+const SOUNDHOLE_END_CORRECTION = 1.7;
+
+/**
+ * Soundhole sizing: at most this many holes, set in a column along the body
+ * with their centres this many diameters apart, each taking up no more than
+ * this fraction of the cut-out's width.
+ */
+const MAX_SOUNDHOLES = 4;
+const SOUNDHOLE_MAX_FRACTION = 0.6;
+const SOUNDHOLE_SPACING = 1.5;
+
+/** Room (mm) left between the soundholes and the top of the cut-out, and the bridge. */
+const SOUNDHOLE_CLEARANCE_MM = 15;
+
+/**
+ * The frame cut-out, as drawn by drawTalharpaFrameSVG: from the neck start to
+ * FRAME_TAIL_WALL_MM above the bottom, FRAME_SIDE_WALL_MM in from the
+ * tapering sides, with its bottom corners rounded.
+ * Returns { topWidth, bottomWidth, height, cornerRadius } in mm.
+ */
+function calcCavityOutline(headstockWidth, bodyMinWidth, overallLenMm, neckStart) {
+  const widthAtNeck = headstockWidth + (bodyMinWidth - headstockWidth) * (neckStart / overallLenMm);
+  return {
+    topWidth: Math.max(widthAtNeck - 2 * FRAME_SIDE_WALL_MM, 0),
+    bottomWidth: Math.max(bodyMinWidth - 2 * FRAME_SIDE_WALL_MM, 0),
+    height: Math.max(overallLenMm - FRAME_TAIL_WALL_MM - neckStart, 0),
+    cornerRadius: Math.max(0.2 * bodyMinWidth - Math.min(FRAME_SIDE_WALL_MM, FRAME_TAIL_WALL_MM), 0)
+  };
+}
+
+/**
+ * Area (mm²) of a cut-out outline (see calcCavityOutline).
+ */
+function calcCavityArea(outline) {
+  // Each rounded corner leaves out r² - πr²/4 of the trapezoid
+  const radius = outline.cornerRadius;
+  return outline.height * (outline.topWidth + outline.bottomWidth) / 2 - 2 * radius * radius * (1 - Math.PI / 4);
+}
+
+/**
+ * Helmholtz resonance (Hz) of a cavity of volumeMm3 (mm³) through holeCount
+ * round holes of holeDiameterMm in a plate plateThicknessMm thick.
+ */
+function calcHelmholtzFrequency(volumeMm3, holeDiameterMm, holeCount, plateThicknessMm) {
+  const radius = holeDiameterMm / 2;
+  const area = holeCount * Math.PI * radius * radius;
+  const neckLength = plateThicknessMm + SOUNDHOLE_END_CORRECTION * radius;
+  return SPEED_OF_SOUND_MM_S / (2 * Math.PI) * Math.sqrt(area / (volumeMm3 * neckLength));
+}
+
+/**
+ * Diameter (mm) of each of holeCount round holes that tunes the cavity to
+ * targetHz: the Helmholtz formula solved for the hole radius a,
+ *
+ *   k × a² – 1.7 × a – t = 0,   k = N × π × (c / 2πf)² / V
+ */
+function solveSoundholeDiameter(volumeMm3, targetHz, holeCount, plateThicknessMm) {
+  const k = holeCount * Math.PI * Math.pow(SPEED_OF_SOUND_MM_S / (2 * Math.PI * targetHz), 2) / volumeMm3;
+  const b = SOUNDHOLE_END_CORRECTION;
+  const radius = (b + Math.sqrt(b * b + 4 * k * plateThicknessMm)) / (2 * k);
+  return 2 * radius;
+}
+
+/**
+ * Length (mm) along the body of a column of holeCount holes of diameterMm.
+ */
+function calcSoundholeColumnLength(diameterMm, holeCount) {
+  return diameterMm * (1 + SOUNDHOLE_SPACING * (holeCount - 1));
+}
+
+/**
+ * The fewest equal holes (up to MAX_SOUNDHOLES) that tune the cavity to
+ * targetHz and fit: each within SOUNDHOLE_MAX_FRACTION of the cut-out's width
+ * (widthMm), and the column within the room between the top of the cut-out
+ * and the bridge (spanMm).
+ * Returns { count, diameter, columnLength, fits }; if no count fits, fits is
+ * false and the count that comes closest is returned.
+ */
+function planSoundholes(volumeMm3, targetHz, plateThicknessMm, widthMm, spanMm) {
+  let closest = null;
+  let closestOverflow = Infinity;
+  for (let count = 1; count <= MAX_SOUNDHOLES; count++) {
+    const diameter = solveSoundholeDiameter(volumeMm3, targetHz, count, plateThicknessMm);
+    const columnLength = calcSoundholeColumnLength(diameter, count);
+    // How many times too big the holes are, across or along the body
+    const overflow = Math.max(diameter / (SOUNDHOLE_MAX_FRACTION * widthMm), columnLength / spanMm);
+    const plan = { count: count, diameter: diameter, columnLength: columnLength, fits: overflow <= 1 };
+    if (plan.fits) return plan;
+    if (overflow < closestOverflow) {
+      closest = plan;
+      closestOverflow = overflow;
+    }
+  }
+  return closest;
+}
+
+/**
+ * Centre (mm from the top) for a soundhole column columnLength long, which
+ * must lie between topMm and bottomMm: preferredMm (the Soundhole Centre) if
+ * the column fits there, else moved just enough to fit, or centred between
+ * the two if it is too long for them.
+ */
+function placeSoundholeColumn(preferredMm, columnLength, topMm, bottomMm) {
+  if (columnLength >= bottomMm - topMm) return (topMm + bottomMm) / 2;
+  return Math.min(Math.max(preferredMm, topMm + columnLength / 2), bottomMm - columnLength / 2);
+}
+
+/**
+ * Soundboard thickness (mm) in a wood as stiff in bending as the reference
+ * spruce board: the plate stiffness goes with √(E_along × E_across) × h³, so
+ *
+ *   h = h_ref × (√(E_along,ref × E_across,ref) / √(E_along × E_across))^(1/3)
+ */
+function calcEquivalentThickness(wood) {
+  const reference = WOOD_SPECIES[REFERENCE_WOOD];
+  const ratio = Math.sqrt(reference.modulusAlongGPa * reference.modulusAcrossGPa) /
+    Math.sqrt(wood.modulusAlongGPa * wood.modulusAcrossGPa);
+  return DEFAULT_SOUNDBOARD_THICKNESS_MM * Math.cbrt(ratio);
+}
+
+/**
+ * Resonances (Hz) of a soundboard lengthMm along the grain by widthMm across
+ * and thicknessMm thick, as a simply supported orthotropic plate:
+ *
+ *   f(m,n) = (π/2) × √((D_L (m/a)⁴ + 2 D_LR (m/a)²(n/b)² + D_R (n/b)⁴) / (ρ h))
+ *
+ * with D = E h³ / 12 along (L) and across (R) the grain and D_LR = √(D_L D_R).
+ * Glued edges are stiffer than simply supported ones, so the real modes sit
+ * somewhat higher. Returns [{ m, n, freq }] for PLATE_MODES, lowest first.
+ */
+function calcPlateModes(wood, lengthMm, widthMm, thicknessMm) {
+  const h = thicknessMm / 1000;
+  const a = lengthMm / 1000;
+  const b = widthMm / 1000;
+  const stiffnessAlong = wood.modulusAlongGPa * 1e9 * h * h * h / 12;
+  const stiffnessAcross = wood.modulusAcrossGPa * 1e9 * h * h * h / 12;
+  const stiffnessShear = Math.sqrt(stiffnessAlong * stiffnessAcross);
+  const massPerArea = wood.density * h;
+
+  return PLATE_MODES.map(([m, n]) => {
+    const kx = m / a;
+    const ky = n / b;
+    const stiffness = stiffnessAlong * Math.pow(kx, 4) + 2 * stiffnessShear * kx * kx * ky * ky + stiffnessAcross * Math.pow(ky, 4);
+    return { m: m, n: n, freq: Math.PI / 2 * Math.sqrt(stiffness / massPerArea) };
+  }).sort((p, q) => p.freq - q.freq);
+}
+
+/**
+ * The soundboard wood chosen in #soundboardWood, else the reference spruce.
+ */
+function getSoundboardWood() {
+  const select = document.getElementById('soundboardWood');
+  return WOOD_SPECIES[select && select.value] || WOOD_SPECIES[REFERENCE_WOOD];
+}
+
+/**
+ * Fill the soundboard wood dropdown from WOOD_SPECIES.
+ */
+function populateWoodSpecies() {
+  const select = document.getElementById('soundboardWood');
+  if (!select) return;
+  select.innerHTML = '';
+  Object.keys(WOOD_SPECIES).forEach(key => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.text = WOOD_SPECIES[key].name;
+    select.appendChild(opt);
+  });
+  select.value = REFERENCE_WOOD;
+}
+
+/**
+ * A frequency against the tuning's root (a string object), e.g.
+ * "G#3 +19.0¢, m7 below the root D4".
+ */
+function describeAgainstRoot(freq, root, useFlats) {
+  const midi = frequencyToMidi(freq);
+  const nearest = Math.round(midi);
+  const note = `${midiToNoteName(nearest, useFlats)} ${formatCents((midi - nearest) * 100)}`;
+  const semis = Math.round(ratioToCents(freq / root.freq) / 100);
+  const interval = (semis === 0) ? 'on' : `${describeInterval(semis)}${semis > 0 ? ' above' : ''}`;
+  return `${note}, ${interval} the root ${root.noteName}`;
+}
+
+document.addEventListener("DOMContentLoaded", populateWoodSpecies);
@@ -105,17 +105,20 @@ function drawTalharpaFrameSVG(config) {
   windowRect.setAttribute("stroke-width", "1");
   svg.appendChild(windowRect);
   
-  // Optional Reduction (Dashed Line) inside the window
-  const dashedLineX = windowX + windowWidth - 36;
-  const dashedLine = document.createElementNS(svgNS, "line");
-  dashedLine.setAttribute("x1", dashedLineX);
-  dashedLine.setAttribute("x2", dashedLineX);
-  dashedLine.setAttribute("y1", windowY);
-  dashedLine.setAttribute("y2", windowY + windowLength);
-  dashedLine.setAttribute("stroke", "black");
-  dashedLine.setAttribute("stroke-width", "1");
-  dashedLine.setAttribute("stroke-dasharray", "4,4");
-  svg.appendChild(dashedLine);
+  // Optional Reduction (Dashed Line) inside the window, one peg spacing in
+  // from the edge - only when there are drone strings
+  if (numStrings > 1) {
+    const dashedLineX = windowX + windowWidth - pegSpacing;
+    const dashedLine = document.createElementNS(svgNS, "line");
+    dashedLine.setAttribute("x1", dashedLineX);
+    dashedLine.setAttribute("x2", dashedLineX);
+    dashedLine.setAttribute("y1", windowY);
+    dashedLine.setAttribute("y2", windowY + windowLength);
+    dashedLine.setAttribute("stroke", "black");
+    dashedLine.setAttribute("stroke-width", "1");
+    dashedLine.setAttribute("stroke-dasharray", "4,4");
+    svg.appendChild(dashedLine);
+  }
   
     // === 2) Horizontal line at cutOutTop from top (plus dimension lines) ===
     const lineY = topY + cutOutTop;
@@ -180,8 +183,8 @@ function drawTalharpaFrameSVG(config) {
     // === 3) The custom path for the lower inset: 7 mm from sides, 18 mm from bottom ===
     // The top of this inset starts at neckStart + 7 from each side.
     // The bottom is 18 mm above bottom. We'll do partial corner arcs.
-    const insideOffsetSide = 7;
-    const insideOffsetBottom = 18;
+    const insideOffsetSide = FRAME_SIDE_WALL_MM;
+    const insideOffsetBottom = FRAME_TAIL_WALL_MM;
   
     // The top Y of the inset: topY + neckStart + 7
     const insideTopY = topY + neckStart;
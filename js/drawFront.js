@@ -21,7 +21,15 @@
  *     pegSpacing: 36,
  *     numStrings: 3,
  *     pegHoleRadius: 3,
+ *     soundholeCentre: 260,  // optional, mm from the top (dimension O)
+ *     soundholeDiameter: 50,
+ *     soundholeCount: 1,     // optional, several holes are set in a column
+ *     soundholeSpacing: 75,  // optional, centre to centre along the body
  *     gap: 18.6,
+ *     tailTopWidth: 55.8, // optional, defaults to gap * numStrings
+ *     // optional hand-position markers, one list per string from left to right,
+ *     // distances in mm from the peg line:
+ *     handPositions: [[{ distMm: 16.8, label: "A#3" }, ...], ...],
  *     // Additional settings (optional):
  *     drawingMargin: 10,  // margin for instrument drawing
  *     extraMargin: 40,    // additional space for dimensions
@@ -52,7 +60,13 @@ function drawTalharpaSVG(config) {
     pegSpacing,
     numStrings,
     pegHoleRadius,
+    soundholeCentre = null,
+    soundholeDiameter = 50,
+    soundholeCount = 1,
+    soundholeSpacing = 1.5 * soundholeDiameter,
     gap,
+    tailTopWidth = gap * numStrings,
+    handPositions = null,
     drawingMargin = 10,
     extraMargin = 50,
     svgWidthPx = 700,
@@ -134,17 +148,20 @@ function drawTalharpaSVG(config) {
   windowRect.setAttribute("stroke-width", "1");
   svg.appendChild(windowRect);
   
-  // Optional Reduction (Dashed Line) inside the window
-  const dashedLineX = windowX + windowWidth - 36;
-  const dashedLine = document.createElementNS(svgNS, "line");
-  dashedLine.setAttribute("x1", dashedLineX);
-  dashedLine.setAttribute("x2", dashedLineX);
-  dashedLine.setAttribute("y1", windowY);
-  dashedLine.setAttribute("y2", windowY + windowLength);
-  dashedLine.setAttribute("stroke", "black");
-  dashedLine.setAttribute("stroke-width", "1");
-  dashedLine.setAttribute("stroke-dasharray", "4,4");
-  svg.appendChild(dashedLine);
+  // Optional Reduction (Dashed Line) inside the window, one peg spacing in
+  // from the edge - only when there are drone strings
+  if (numStrings > 1) {
+    const dashedLineX = windowX + windowWidth - pegSpacing;
+    const dashedLine = document.createElementNS(svgNS, "line");
+    dashedLine.setAttribute("x1", dashedLineX);
+    dashedLine.setAttribute("x2", dashedLineX);
+    dashedLine.setAttribute("y1", windowY);
+    dashedLine.setAttribute("y2", windowY + windowLength);
+    dashedLine.setAttribute("stroke", "black");
+    dashedLine.setAttribute("stroke-width", "1");
+    dashedLine.setAttribute("stroke-dasharray", "4,4");
+    svg.appendChild(dashedLine);
+  }
   
   // Bridge
   const bridgeCenterY = totalMargin + pegStart + scaleMm;
@@ -195,9 +212,47 @@ function drawTalharpaSVG(config) {
     stringLine.setAttribute("stroke-width", "1");
     svg.appendChild(stringLine);
   }
+
+  // Hand Positions (optional): a tick across each string at every stop with
+  // its note name, faded where the stop falls outside the window
+  if (handPositions) {
+    const HAND_POSITION_COLOR = "blue";
+    const HAND_POSITION_FONT_SIZE = "5px";
+    const tickHalfLength = 3;
+    const stringLength = bridgeTopY - pegLineY;
+
+    handPositions.forEach((positions, i) => {
+      if (i >= numStrings) return;
+      positions.forEach(pos => {
+        const y = pegLineY + pos.distMm;
+        const x = pegHolePositions[i] + (anchorXPositions[i] - pegHolePositions[i]) * (pos.distMm / stringLength);
+        const inWindow = (y >= windowY && y <= windowY + windowLength);
+
+        const tick = document.createElementNS(svgNS, "line");
+        tick.setAttribute("x1", x - tickHalfLength);
+        tick.setAttribute("x2", x + tickHalfLength);
+        tick.setAttribute("y1", y);
+        tick.setAttribute("y2", y);
+        tick.setAttribute("stroke", HAND_POSITION_COLOR);
+        tick.setAttribute("stroke-width", "0.5");
+        tick.setAttribute("stroke-opacity", inWindow ? "1" : "0.3");
+        svg.appendChild(tick);
+
+        const label = document.createElementNS(svgNS, "text");
+        label.setAttribute("x", x + tickHalfLength + 1);
+        label.setAttribute("y", y);
+        label.setAttribute("font-size", HAND_POSITION_FONT_SIZE);
+        label.setAttribute("fill", HAND_POSITION_COLOR);
+        label.setAttribute("fill-opacity", inWindow ? "1" : "0.3");
+        label.setAttribute("alignment-baseline", "middle");
+        label.textContent = pos.label;
+        svg.appendChild(label);
+      });
+    });
+  }
   
   // Tail Piece
-  const tailTopWidthVal = gap * numStrings;
+  const tailTopWidthVal = tailTopWidth;
   const tailBottomWidth = tailTopWidthVal * 0.7;
   const tailLengthVal = 0.4 * (overallLenMm - scaleMm);
   const tailRadiusVal = 4;
@@ -280,26 +335,28 @@ function drawTalharpaSVG(config) {
   }
   
   // Central Circular Hole in Main Body
-  let centralHoleDiameter = 50;
-  if (scaleMm < 350){
-    centralHoleDiameter = 30;
-  }
-  const centralHoleRadius = centralHoleDiameter / 2;
+  const centralHoleRadius = soundholeDiameter / 2;
   const windowBottomY = windowY + windowLength;
   let centralHoleCenterY = (windowBottomY + bridgeY) / 1.85;
   if (scaleMm < 350){
-    centralHoleDiameter = 30;
     centralHoleCenterY = (windowBottomY + bridgeY) / 1.9;
   }
+  if (soundholeCentre !== null) {
+    centralHoleCenterY = topY + soundholeCentre;
+  }
   const centralHoleCenterX = topMidX;
-  const centralHole = document.createElementNS(svgNS, "circle");
-  centralHole.setAttribute("cx", centralHoleCenterX);
-  centralHole.setAttribute("cy", centralHoleCenterY);
-  centralHole.setAttribute("r", centralHoleRadius);
-  centralHole.setAttribute("fill", "none");
-  centralHole.setAttribute("stroke", "black");
-  centralHole.setAttribute("stroke-width", "1");
-  svg.appendChild(centralHole);
+  for (let i = 0; i < soundholeCount; i++) {
+    // Several holes are centred on the same point, one above the other
+    const cy = centralHoleCenterY + (i - (soundholeCount - 1) / 2) * soundholeSpacing;
+    const centralHole = document.createElementNS(svgNS, "circle");
+    centralHole.setAttribute("cx", centralHoleCenterX);
+    centralHole.setAttribute("cy", cy);
+    centralHole.setAttribute("r", centralHoleRadius);
+    centralHole.setAttribute("fill", "none");
+    centralHole.setAttribute("stroke", "black");
+    centralHole.setAttribute("stroke-width", "1");
+    svg.appendChild(centralHole);
+  }
 
   // Calculate the width of the body at the neckStart level.
 // (Assuming neckStart is given in mm.)
@@ -0,0 +1,112 @@
+/**
+ * drawFingerRulerSVG
+ * Creates a full-size (1:1) SVG of the finger-position ruler for one string:
+ * a strip marked with each stop's distance from the peg end, to stick
+ * alongside the window. Every length in the SVG is in millimetres, and the
+ * width/height are set in mm, so it prints at true size at 100% scale.
+ * Strips longer than a page are cut into segments laid side by side.
+ *
+ * Usage example:
+ *   const svgElement = drawFingerRulerSVG({
+ *     title: "A3 string, 40 cm scale",
+ *     positions: [{ step: 0, distMm: 0, label: "A3" }, { step: 1, distMm: 22.5, label: "A#3" }, ...],
+ *     windowStart: 17.5,   // optional, mm from the pegs
+ *     windowEnd: 237.5
+ *   });
+ */
+function drawFingerRulerSVG(config) {
+  const {
+    title,
+    positions,
+    windowStart = null,
+    windowEnd = null,
+    pageWidth = 190,        // fits A4 and letter paper inside 10mm margins
+    pageHeight = 257,
+    stripWidth = 30,
+    stripGap = 14,
+    calibrationLength = 100,
+    color = "black",
+    windowColor = "blue"
+  } = config;
+
+  const svgNS = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(svgNS, "svg");
+
+  // Create an element with attributes (and optional text) and add it to the SVG
+  const add = (tag, attrs, text) => {
+    const el = document.createElementNS(svgNS, tag);
+    Object.keys(attrs).forEach(k => el.setAttribute(k, attrs[k]));
+    if (text !== undefined) el.textContent = text;
+    svg.appendChild(el);
+    return el;
+  };
+
+  // Header, calibration bar, then the strip segments below
+  const headerHeight = 12;
+  const calibrationTop = headerHeight + 4;
+  const stripTop = calibrationTop + 16;
+  const segmentLength = pageHeight - stripTop - 6;
+  const totalLength = positions[positions.length - 1].distMm + 10;
+  const segments = Math.max(1, Math.ceil(totalLength / segmentLength));
+
+  svg.setAttribute("width", `${pageWidth}mm`);
+  svg.setAttribute("height", `${pageHeight}mm`);
+  svg.setAttribute("viewBox", `0 0 ${pageWidth} ${pageHeight}`);
+
+  add("text", { x: 0, y: 5, "font-size": 4.5, "font-weight": "bold", fill: color },
+    `Finger-position ruler - ${title}`);
+  add("text", { x: 0, y: 10, "font-size": 3, fill: color },
+    "Print at 100% (no fit-to-page). Line 0 up with the string's peg hole; distances in mm.");
+
+  // Calibration bar: must measure exactly calibrationLength mm once printed
+  add("line", { x1: 0, y1: calibrationTop + 4, x2: calibrationLength, y2: calibrationTop + 4, stroke: color, "stroke-width": 0.4 });
+  for (let mm = 0; mm <= calibrationLength; mm += 10) {
+    add("line", { x1: mm, y1: calibrationTop + (mm % 50 === 0 ? 1 : 2.5), x2: mm, y2: calibrationTop + 4, stroke: color, "stroke-width": 0.3 });
+  }
+  add("text", { x: calibrationLength + 3, y: calibrationTop + 4, "font-size": 3, fill: color },
+    `Calibration: this bar must measure ${calibrationLength} mm`);
+
+  for (let s = 0; s < segments; s++) {
+    const from = s * segmentLength;
+    const to = Math.min(totalLength, from + segmentLength);
+    const x = s * (stripWidth + stripGap);
+    const yOf = mm => stripTop + (mm - from);
+
+    // Strip outline (cut line)
+    add("rect", { x: x, y: stripTop, width: stripWidth, height: to - from, fill: "none", stroke: color, "stroke-width": 0.3, "stroke-dasharray": "2,1" });
+
+    // Millimetre scale down the left edge
+    for (let mm = Math.ceil(from); mm <= to; mm++) {
+      const len = (mm % 10 === 0) ? 4 : (mm % 5 === 0 ? 2.5 : 1.2);
+      add("line", { x1: x, y1: yOf(mm), x2: x + len, y2: yOf(mm), stroke: color, "stroke-width": 0.15 });
+      if (mm % 10 === 0) {
+        add("text", { x: x + 4.5, y: yOf(mm) + 1, "font-size": 2.2, fill: color }, mm);
+      }
+    }
+
+    // Open window, for reference
+    [[windowStart, "window starts"], [windowEnd, "window ends"]].forEach(([mm, text]) => {
+      if (mm === null || mm < from || mm > to) return;
+      add("line", { x1: x, y1: yOf(mm), x2: x + stripWidth, y2: yOf(mm), stroke: windowColor, "stroke-width": 0.3, "stroke-dasharray": "1,1" });
+      add("text", { x: x + stripWidth - 0.5, y: yOf(mm) - 0.8, "font-size": 2, fill: windowColor, "text-anchor": "end" }, text);
+    });
+
+    // Stops: a line across the right part of the strip, with the step, note and
+    // distance (mm) above it
+    positions.forEach(p => {
+      if (p.distMm < from || p.distMm > to) return;
+      const y = yOf(p.distMm);
+      add("line", { x1: x + 11, y1: y, x2: x + stripWidth, y2: y, stroke: color, "stroke-width": 0.35 });
+      add("text", { x: x + 12, y: y - 0.6, "font-size": 2.6, "font-weight": "bold", fill: color }, `${p.step}: ${p.label}`);
+      add("text", { x: x + stripWidth - 0.5, y: y - 0.6, "font-size": 2, fill: color, "text-anchor": "end" }, p.distMm.toFixed(1));
+    });
+
+    // Where to join the segments
+    if (segments > 1) {
+      add("text", { x: x, y: stripTop - 4, "font-size": 2.4, fill: color },
+        s === 0 ? `Part 1 of ${segments}` : `Part ${s + 1} - joins at ${from.toFixed(0)} mm`);
+    }
+  }
+
+  return svg;
+}
@@ -15,6 +15,7 @@
  *     bodyMinDepth: 45,
  *     neckStart: 100,        // vertical distance from top to neck join
  *     neckThickness: 15,     // horizontal indentation of the neck
+ *     soundboardThickness: 6, // front and back boards (mm)
  *     drawingMargin: 10,
  *     extraMargin: 50,
  *     svgWidthPx: 600,
@@ -45,6 +46,7 @@ function drawTalharpaSideSVG(config) {
     bodyMinDepth,
     neckStart,
     neckThickness,
+    soundboardThickness = 6,
     drawingMargin = 10,
     extraMargin = 50,
     svgWidthPx = 600,
@@ -147,7 +149,6 @@ function drawTalharpaSideSVG(config) {
 // Assume these variables are already defined in your side view function:
 //   totalMargin, overallLenMm, bodyMinDepth, neckStart
 // and that totalMargin is stored in variable M:
-const soundboardThickness = 6; // in mm
 
 // ---------- Left Soundboard Panel ----------
 // This panel covers vertically from E to F, where originally:
@@ -535,7 +536,7 @@ dimTextSoundboard.setAttribute("font-size", DIMENSION_FONT_SIZE);
 dimTextSoundboard.setAttribute("fill", DIMENSION_COLOR);
 dimTextSoundboard.setAttribute("text-anchor", "end");
 dimTextSoundboard.setAttribute("alignment-baseline", "middle");
-dimTextSoundboard.textContent = "6-7mm 2 PL";
+dimTextSoundboard.textContent = `${soundboardThickness.toFixed(1)}mm 2 PL`;
 svg.appendChild(dimTextSoundboard);
 
 
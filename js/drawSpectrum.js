@@ -0,0 +1,102 @@
+/**
+ * drawSpectrumSVG
+ * Creates an SVG of a tap-tone spectrum: level (dB, relative to the strongest
+ * peak) against frequency on a logarithmic axis, with the detected peaks
+ * marked in red, the open-string notes as grey dashed lines and any predicted
+ * body resonances as blue dashed lines.
+ *
+ * Usage example:
+ *   const svgElement = drawSpectrumSVG({
+ *     title: "Tap-tone spectrum - top.wav",
+ *     bins: [{ freq: 40.4, db: -62.1 }, ...],
+ *     minFreq: 40,
+ *     maxFreq: 2000,
+ *     peaks: [{ freq: 212.3, db: 0 }, ...],
+ *     notes: [{ freq: 196, label: "String 3 open (G3)" }, ...],
+ *     resonances: [{ freq: 205, label: "Air (Helmholtz)" }]
+ *   });
+ */
+function drawSpectrumSVG(config) {
+  const {
+    title,
+    bins,
+    minFreq,
+    maxFreq,
+    peaks = [],
+    notes = [],
+    resonances = [],
+    svgWidthPx = 760,
+    svgHeightPx = 300,
+    floorDb = -60,
+    color = "black",
+    curveColor = "#1e87f0",
+    noteColor = "#888",
+    resonanceColor = "#1e87f0",
+    peakColor = "#c00"
+  } = config;
+
+  const svgNS = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(svgNS, "svg");
+  svg.setAttribute("width", svgWidthPx);
+  svg.setAttribute("height", svgHeightPx);
+  svg.setAttribute("viewBox", `0 0 ${svgWidthPx} ${svgHeightPx}`);
+
+  const add = (tag, attrs, text) => {
+    const el = document.createElementNS(svgNS, tag);
+    Object.keys(attrs).forEach(k => el.setAttribute(k, attrs[k]));
+    if (text !== undefined) el.textContent = text;
+    svg.appendChild(el);
+    return el;
+  };
+
+  // Plot area
+  const left = 40;
+  const right = svgWidthPx - 10;
+  const top = 40;
+  const bottom = svgHeightPx - 30;
+
+  // The curve is drawn relative to its loudest bin (the strongest peak)
+  const maxDb = Math.max(...bins.map(b => b.db));
+  const x = freq => left + (right - left) * Math.log(freq / minFreq) / Math.log(maxFreq / minFreq);
+  const y = db => top + (bottom - top) * Math.min(1, Math.max(0, db / floorDb));
+
+  add("text", { x: 0, y: 16, "font-size": 14, "font-weight": "bold", fill: color }, title);
+
+  // Axes, with gridlines at 1-2-5 frequencies and every 10 dB
+  add("rect", { x: left, y: top, width: right - left, height: bottom - top, fill: "none", stroke: color, "stroke-width": 1 });
+  for (let decade = 10; decade <= maxFreq; decade *= 10) {
+    [1, 2, 5].forEach(m => {
+      const freq = decade * m;
+      if (freq < minFreq || freq > maxFreq) return;
+      add("line", { x1: x(freq), y1: top, x2: x(freq), y2: bottom, stroke: "#eee", "stroke-width": 1 });
+      add("text", { x: x(freq), y: bottom + 12, "font-size": 9, "text-anchor": "middle", fill: color }, `${freq}`);
+    });
+  }
+  add("text", { x: right, y: bottom + 24, "font-size": 9, "text-anchor": "end", fill: color }, "Hz");
+  for (let db = 0; db >= floorDb; db -= 10) {
+    add("line", { x1: left, y1: y(db), x2: right, y2: y(db), stroke: "#eee", "stroke-width": 1 });
+    add("text", { x: left - 4, y: y(db) + 3, "font-size": 9, "text-anchor": "end", fill: color }, `${db}`);
+  }
+  add("text", { x: left - 4, y: top - 6, "font-size": 9, "text-anchor": "end", fill: color }, "dB");
+
+  // Reference lines: open strings, then predicted resonances
+  const marker = (freq, label, stroke, row) => {
+    if (freq < minFreq || freq > maxFreq) return;
+    add("line", { x1: x(freq), y1: top, x2: x(freq), y2: bottom, stroke: stroke, "stroke-width": 1, "stroke-dasharray": "4,3" });
+    add("text", { x: x(freq) + 2, y: top - 4 - row * 10, "font-size": 8, fill: stroke }, label);
+  };
+  notes.forEach(n => marker(n.freq, n.label.replace(/^.*\((.*)\)$/, "$1"), noteColor, 0));
+  resonances.forEach(r => marker(r.freq, r.label, resonanceColor, 1));
+
+  // The spectrum curve
+  const points = bins.map(b => `${x(b.freq).toFixed(1)},${y(b.db - maxDb).toFixed(1)}`);
+  add("polyline", { points: points.join(" "), fill: "none", stroke: curveColor, "stroke-width": 1 });
+
+  // Peaks
+  peaks.forEach((p, i) => {
+    add("circle", { cx: x(p.freq), cy: y(p.db), r: 3, fill: peakColor });
+    add("text", { x: x(p.freq) + 4, y: y(p.db) - 4, "font-size": 9, fill: peakColor }, `${i + 1}: ${p.freq.toFixed(0)} Hz`);
+  });
+
+  return svg;
+}
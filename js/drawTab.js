@@ -0,0 +1,117 @@
+/**
+ * drawTablatureSVG
+ * Creates an SVG of a tune's tablature for the designed instrument: one line
+ * per string, top to bottom as the strings are numbered, with each note's hand
+ * position (the step from the hand-position table, 0 = open) on the string
+ * it is played on. Drone strings are dashed and labelled. Notes outside the
+ * window are shown in brackets and unplayable notes as "×" on the melody line.
+ * Lines wrap to fit the width; the height grows to suit.
+ *
+ * Usage example:
+ *   const svgElement = drawTablatureSVG({
+ *     title: "Kesh Jig - G3 D4 G4, 45 cm scale",
+ *     strings: [{ name: "G4", drone: true }, { name: "D4", drone: true }, { name: "G3", drone: false }],
+ *     notes: [{ row: 2, step: 0, duration: 0.375, bar: 0, where: "melody" }, ...]
+ *   });
+ */
+function drawTablatureSVG(config) {
+  const {
+    title,
+    subtitle = "",
+    strings,
+    notes,
+    svgWidthPx = 760,
+    lineSpacing = 14,
+    labelWidth = 70,
+    eighthWidth = 16,       // space for a 1/8 note; longer notes get more, up to maxNoteWidth
+    minNoteWidth = 14,
+    maxNoteWidth = 48,
+    color = "black",
+    droneColor = "#888",
+    warningColor = "#d46b08",
+    dangerColor = "#c00"
+  } = config;
+
+  const svgNS = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(svgNS, "svg");
+
+  const add = (tag, attrs, text) => {
+    const el = document.createElementNS(svgNS, tag);
+    Object.keys(attrs).forEach(k => el.setAttribute(k, attrs[k]));
+    if (text !== undefined) el.textContent = text;
+    svg.appendChild(el);
+    return el;
+  };
+
+  const headerHeight = subtitle ? 44 : 30;
+  const systemHeight = (strings.length - 1) * lineSpacing + 34;
+  const right = svgWidthPx - 10;
+  const melodyRow = strings.findIndex(s => !s.drone);
+
+  // Lay the notes out in systems (lines of tablature)
+  const systems = [[]];
+  let x = labelWidth + 10;
+  let lastBar = notes.length > 0 ? notes[0].bar : 0;
+  notes.forEach(note => {
+    const width = Math.max(minNoteWidth, Math.min(maxNoteWidth, note.duration * 8 * eighthWidth));
+    const barLine = (note.bar !== lastBar);
+    if (x + width > right) {
+      systems.push([]);
+      x = labelWidth + 10;
+    } else if (barLine && systems[systems.length - 1].length > 0) {
+      systems[systems.length - 1].push({ barX: x - 2 });
+    }
+    systems[systems.length - 1].push({ note: note, x: x });
+    x += width + (barLine ? 4 : 0);
+    lastBar = note.bar;
+  });
+
+  const height = headerHeight + systems.length * systemHeight + 30;
+  svg.setAttribute("width", svgWidthPx);
+  svg.setAttribute("height", height);
+  svg.setAttribute("viewBox", `0 0 ${svgWidthPx} ${height}`);
+
+  add("text", { x: 0, y: 16, "font-size": 14, "font-weight": "bold", fill: color }, title);
+  if (subtitle) add("text", { x: 0, y: 32, "font-size": 10, fill: color }, subtitle);
+
+  systems.forEach((items, s) => {
+    const top = headerHeight + s * systemHeight + 12;
+    const rowY = row => top + row * lineSpacing;
+
+    // String lines, drones dashed
+    strings.forEach((str, row) => {
+      add("text", { x: 0, y: rowY(row) + 3, "font-size": 9, fill: str.drone ? droneColor : color },
+        `${row + 1} ${str.name}${str.drone ? " drone" : ""}`);
+      add("line", {
+        x1: labelWidth, y1: rowY(row), x2: right, y2: rowY(row),
+        stroke: str.drone ? droneColor : color,
+        "stroke-width": str.drone ? 0.8 : 1,
+        "stroke-dasharray": str.drone ? "4,3" : "none"
+      });
+    });
+    add("line", { x1: labelWidth, y1: rowY(0), x2: labelWidth, y2: rowY(strings.length - 1), stroke: color, "stroke-width": 1.5 });
+    add("line", { x1: right, y1: rowY(0), x2: right, y2: rowY(strings.length - 1), stroke: color, "stroke-width": 1 });
+
+    items.forEach(item => {
+      if (item.barX !== undefined) {
+        add("line", { x1: item.barX, y1: rowY(0), x2: item.barX, y2: rowY(strings.length - 1), stroke: color, "stroke-width": 0.8 });
+        return;
+      }
+      const note = item.note;
+      const row = (note.row === null) ? melodyRow : note.row;
+      let text = String(note.step);
+      let fill = color;
+      if (note.where === "outside") { text = `(${note.step})`; fill = warningColor; }
+      if (note.where === "none") { text = "×"; fill = dangerColor; }
+
+      // Clear the string under the number so it reads
+      add("rect", { x: item.x - 1, y: rowY(row) - 6, width: text.length * 6 + 2, height: 12, fill: "white" });
+      add("text", { x: item.x, y: rowY(row) + 4, "font-size": 11, "font-family": "monospace", fill: fill }, text);
+    });
+  });
+
+  add("text", { x: 0, y: height - 8, "font-size": 9, fill: color },
+    "Numbers: hand position on that string (step from the hand-position table, 0 = open). (n): outside the window. ×: not playable.");
+
+  return svg;
+}
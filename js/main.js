@@ -5,41 +5,75 @@
  *  - 2-string: e.g. "15"
  *  - 3-string: e.g. "151"
  *  - 4-string: e.g. "1515"
+ * The digit-only patterns use the original 1/4/5 shorthand; the rest use the
+ * interval grammar described in parseIntervalPattern.
  */
 const patternOptions = {
-  2: ["15", "51", "14", "41", "11", "55", "44"],
-  3: ["151","515","141","414","115","155","144"],
-  4: ["1515","5151","1414","4141","1155","1144"]
+  1: ["1"],
+  2: ["15", "51", "14", "41", "11", "55", "44", "1-8", "1-b7", "v5-1"],
+  3: ["151","515","141","414","115","155","144", "1-5-8", "1-2-5", "1-b7-8", "v5-1-5"],
+  4: ["1515","5151","1414","4141","1155","1144", "1-5-8-12", "v8-1-5-8"],
+  5: ["15151","51515","14141","1-5-8-12-15","v5-1-5-8-12"],
+  6: ["151515","515151","1-5-8-12-15-19","v8-v5-1-5-8-12"],
+  7: ["1515151","1-5-8-12-15-19-22","v8-v5-1-5-8-12-15"],
+  8: ["15151515","1-5-8-12-15-19-22-24","v8-v5-1-5-8-12-15-19"]
 };
 
-/** Main (natural) note frequencies from C1..C6. */
-const noteFrequencies = {
-  'C1': 32.70, 'D1': 36.71, 'E1': 41.20, 'F1': 43.65, 'G1': 49.00, 'A1': 55.00, 'B1': 61.74,
-  'C2': 65.41, 'D2': 73.42, 'E2': 82.41, 'F2': 87.31, 'G2': 98.00, 'A2': 110.00, 'B2': 123.47,
-  'C3': 130.81, 'D3': 146.83, 'E3': 164.81, 'F3': 174.61, 'G3': 196.00, 'A3': 220.00, 'B3': 246.94,
-  'C4': 261.63, 'D4': 293.66, 'E4': 329.63, 'F4': 349.23, 'G4': 392.00, 'A4': 440.00, 'B4': 493.88,
-  'C5': 523.25, 'D5': 587.33, 'E5': 659.25, 'F5': 698.46, 'G5': 783.99, 'A5': 880.00, 'B5': 987.77,
-  'C6': 1046.50
-};
+/**
+ * Feasible open-string range (Hz) at this scale: from the lowest slack limit to
+ * the highest close-to-breaking limit of the shown materials (see strings.js).
+ */
+function getFeasibleRange(scaleLength, materials, keys) {
+  let fMin = Infinity;
+  let fMax = 0;
+  keys.forEach(key => {
+    const range = calcMaterialPitchRange(scaleLength * 10, materials[key]);
+    fMin = Math.min(fMin, range.min);
+    fMax = Math.max(fMax, range.max);
+  });
+  return [fMin, fMax];
+}
 
-const noteNames = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'];
+/** String count limits and the spacing minimums that keep 5-8 strings playable (mm). */
+const MIN_STRINGS = 1;
+const MAX_STRINGS = 8;
+const MIN_PEG_SPACING = 24;
+const MIN_BRIDGE_GAP = 9;
+const MIN_TAIL_TOP_WIDTH = 20;
 
 /**
- * Piecewise feasible range for open-string frequencies.
+ * Hand-position chart: the range of steps above the open string it can show,
+ * the room a finger needs inside the window past the last stop, and how close
+ * to the bridge a stop can be while leaving room for the hand and the bow (mm).
  */
-function getFeasibleRange(scaleLength) {
-  if (scaleLength < 33) {
-    return [220, 330]; // ~A3..E4
-  } else if (scaleLength < 37.5) {
-    return [196, 330]; // ~G3..E4
-  } else if (scaleLength < 40) {
-    return [146.83, 330]; // ~D3..E4
-  } else if (scaleLength < 54.6) {
-    return [98, 330]; // ~G2..E4
-  } else {
-    return [65.41, 220]; // ~C2..A3
-  }
-}
+const MIN_HAND_RANGE = 1;
+const MAX_HAND_RANGE = 24;
+const WINDOW_FINGER_ROOM_MM = 10;
+const MIN_BRIDGE_CLEARANCE_MM = 100;
+
+/** Limits (mm) for the back-of-finger contact width and string deflection. */
+const MAX_FINGER_WIDTH_MM = 20;
+const MAX_STRING_DEFLECTION_MM = 10;
+
+/** Left-out tunings listed under the recommendations, the closest to making it first. */
+const EXCLUDED_TUNINGS_SHOWN = 6;
+
+/** Limits (Hz) for a custom target air resonance. */
+const MIN_AIR_TARGET_HZ = 60;
+const MAX_AIR_TARGET_HZ = 600;
+
+/**
+ * Melody-string stops from the last calculation, kept for the 1:1 ruler export.
+ */
+let lastRulerConfig = null;
+
+/**
+ * Body resonances predicted for the last calculated design ([{ freq, label }]):
+ * the air resonance (row T) first, then the lowest soundboard plate modes
+ * (row V). Empty until a design is calculated; the tap-tone report compares
+ * with them and the audio preview boosts the air resonance.
+ */
+let lastBodyResonances = [];
 
 /**
  * Validate scale length is between 26..70 cm.
@@ -56,11 +90,11 @@ function validateScaleLength(scaleLength) {
 }
 
 /**
- * Parse an interval pattern (e.g. "1515") into semitone offsets.
+ * Parse a digit-only 1/4/5 pattern (e.g. "1515") into semitone offsets.
  * 
  * Includes optional overrides for "144" => [0, -5, +5], "155" => [0, -7, +7] if desired.
  */
-function parseIntervalPattern(pattern) {
+function parseLegacyPattern(pattern) {
   // Each time we see '1', '4', or '5', we increase the offset by 12 
   // if it's the second, third, etc. time that digit appears.
 
@@ -91,97 +125,595 @@ function parseIntervalPattern(pattern) {
 }
 
 /**
- * Partial feasibility: if >=50% of the string frequencies are in range, 
- * we include that tuning in the results. 
+ * Parse an interval pattern into semitone offsets from the root (melody) string,
+ * one per string. Returns { offsets, errors }.
+ *
+ *  - digits only ("151", "1515"): the original 1/4/5 shorthand, where repeats go
+ *    up an octave
+ *  - otherwise tokens separated by spaces, commas or hyphens (a hyphen only
+ *    between two tokens, never a sign), each one of (see parseIntervalToken):
+ *      scale degrees  "1-5-8", "1-b7", "1 2 5"
+ *      interval names "1 m3 P5", "P1 M2 P5"
+ *      semitones      "1 +7 +12", "0st 7st"
+ *      "v" prefix     "v5-1-5" tunes a string below the melody string
+ */
+function parsePatternText(text) {
+  const pattern = (text || '').trim();
+  if (/^[145]+$/.test(pattern)) {
+    return { offsets: parseLegacyPattern(pattern), errors: [] };
+  }
+
+  const offsets = [];
+  const errors = [];
+  pattern.split(/[\s,]+|(?<=[^\s,\-])-(?=[^\s,\-])/).filter(t => t !== '' && t !== '-').forEach(token => {
+    const semis = parseIntervalToken(token);
+    if (token.startsWith('-')) {
+      errors.push(`"${token}" - use "v" for a string below the melody string, e.g. "v${token.replace(/^-+/, '')}"`);
+    } else if (semis === null) {
+      errors.push(`"${token}" is not an interval`);
+    } else {
+      offsets.push(semis);
+    }
+  });
+
+  if (offsets.length === 0 && errors.length === 0) {
+    errors.push('The pattern is empty');
+  }
+  return { offsets: offsets, errors: errors };
+}
+
+/**
+ * Parse an interval pattern (e.g. "1515" or "1-5-8") into semitone offsets,
+ * ignoring anything that can't be parsed.
+ */
+function parseIntervalPattern(pattern) {
+  return parsePatternText(pattern).offsets;
+}
+
+/**
+ * The pattern in use: the free-text pattern if one is typed, else the preset.
+ */
+function getActivePattern() {
+  const custom = document.getElementById('customPattern');
+  if (custom && custom.value.trim() !== '') {
+    return custom.value.trim();
+  }
+  return document.getElementById('pattern').value;
+}
+
+/**
+ * Validate the active pattern and preview its intervals under the input.
+ * Returns the parsed offsets, or null if the pattern is invalid.
+ */
+function updatePatternPreview() {
+  const preview = document.getElementById('patternPreview');
+  const parsed = parsePatternText(getActivePattern());
+  const numStrings = parseInt(document.getElementById('numStrings').value, 10);
+
+  if (parsed.errors.length > 0) {
+    preview.className = 'uk-text-small uk-text-danger uk-margin-remove';
+    preview.textContent = parsed.errors.join('; ');
+    return null;
+  }
+
+  let text = parsed.offsets
+    .map(off => `${off >= 0 ? '+' : ''}${off} (${describeInterval(off)})`)
+    .join(', ');
+  if (parsed.offsets.length !== numStrings) {
+    text += ` - ${parsed.offsets.length} strings, not ${numStrings}`;
+  }
+  preview.className = 'uk-text-small uk-text-muted uk-margin-remove';
+  preview.textContent = text;
+  return parsed.offsets;
+}
+
+/**
+ * Score a tuning against the materials shown in the string table.
+ * `strings` is a list of { noteName, midi, freq, root, rootMidi }; each one gets its
+ * `safety`, `safetyNotes` and `fit` filled in.
+ *
+ * Returns a candidate:
+ *  - strings: the annotated strings
+ *  - score: 0..100, the mean of each string's pitch score for its best material
+ *    (100 = every string sits in a comfortable stress band)
+ *  - included: false if a string breaks in every material, or more than half
+ *    the strings are too low for the scale in every material
+ *  - reasons: why it was included or excluded
+ */
+function assessTuning(scaleLength, strings) {
+  const scaleMm = scaleLength * 10;
+  const materials = getStringMaterials();
+  const materialKeys = getSelectedMaterialKeys();
+
+  let scoreSum = 0;
+  let comfortableCount = 0;
+  let slackCount = 0;
+  let reasons = [];
+  let included = true;
+
+  strings.forEach(sn => {
+    const safety = assessStringAcrossMaterials(materials, materialKeys, scaleMm, sn.freq);
+    const fit = scoreStringPitch(materials, materialKeys, scaleMm, sn.freq);
+    sn.safety = safety.worst;
+    sn.safetyNotes = safety.notes;
+    sn.fit = fit;
+
+    scoreSum += fit.score;
+    if (fit.comfortable) comfortableCount++;
+
+    if (safety.level === 'danger') {
+      included = false;
+      reasons.push(`${sn.noteName} breaks in every material at this scale`);
+    } else if (safety.level === 'slack') {
+      slackCount++;
+      reasons.push(`${sn.noteName} is too low for this scale in every material`);
+    } else if (!fit.comfortable && fit.materialKey) {
+      reasons.push(`${sn.noteName} is outside the comfortable range (best: ${materials[fit.materialKey].name} at ${fit.stressPercent.toFixed(0)}% of breaking)`);
+    }
+  });
+
+  if (slackCount > strings.length / 2) {
+    included = false;
+  }
+  reasons.unshift(`${comfortableCount}/${strings.length} strings in a comfortable range`);
+
+  return {
+    strings: strings,
+    score: strings.length > 0 ? Math.round(100 * scoreSum / strings.length) : 0,
+    included: included,
+    reasons: reasons
+  };
+}
+
+/**
+ * Try every chromatic root from C0..C8 with the interval pattern and score the
+ * result (see assessTuning). Note names are spelled with sharps or flats to
+ * suit the root's key, and the strings are tuned against the root in the
+ * selected temperament. Returns one candidate per root.
  */
 function generateFeasibleTunings(scaleLength, intervals) {
-  const [fMin, fMax] = getFeasibleRange(scaleLength);
-  const mainNotes = Object.keys(noteFrequencies).filter(n => n.indexOf('#') === -1);
+  let candidates = [];
+
+  for (let rootMidi = MIN_MIDI_NOTE; rootMidi <= MAX_MIDI_NOTE; rootMidi++) {
+    const useFlats = keyUsesFlats(rootMidi);
+    const root = pitchClassName(rootMidi, useFlats);
+
+    const stringNotes = intervals.map(off => {
+      const midi = rootMidi + off;
+      return {
+        noteName: midiToNoteName(midi, useFlats),
+        midi: midi,
+        freq: temperedFrequency(rootMidi, midi),
+        root: root,
+        rootMidi: rootMidi
+      };
+    });
 
-  let tunings = [];
+    candidates.push(assessTuning(scaleLength, stringNotes));
+  }
+  return candidates;
+}
 
-  for (const rootNote of mainNotes) {
-    const rootFreq = noteFrequencies[rootNote];
-    
-    let stringFreqs = [];
-    let inRangeCount = 0;
-
-    for (let off of intervals) {
-      const freq = rootFreq * Math.pow(2, off/12);
-      stringFreqs.push(freq);
-      if (freq >= fMin && freq <= fMax) {
-        inRangeCount++;
+/**
+ * Parse a typed tuning such as "A3 E4 A4" or "D4, A3, D3" (strings in pattern
+ * order, like the recommended tunings). The root is the string marked with a
+ * "*" (e.g. "D3 G3* D4"), else the first string.
+ * Returns { strings, rootIndex, errors }.
+ */
+function parseCustomTuning(text) {
+  const tokens = (text || '').split(/[\s,]+/).filter(t => t !== '');
+  const strings = [];
+  const errors = [];
+  let rootIndex = 0;
+
+  tokens.forEach(token => {
+    const marked = token.endsWith('*');
+    const name = marked ? token.slice(0, -1) : token;
+    const midi = parseNoteName(name);
+    if (midi === null || !/\d/.test(name)) {
+      errors.push(`"${token}" is not a note with an octave (e.g. A3, F#4, Bb2)`);
+    } else if (midi < MIN_MIDI_NOTE || midi > MAX_MIDI_NOTE) {
+      errors.push(`${name} is outside C0..C8`);
+    } else {
+      if (marked) rootIndex = strings.length;
+      strings.push({ noteName: name.charAt(0).toUpperCase() + name.slice(1), midi: midi });
+    }
+  });
+
+  if (tokens.filter(t => t.endsWith('*')).length > 1) {
+    errors.push('Mark only one string as the root with "*"');
+  }
+  if (strings.length > MAX_STRINGS) {
+    errors.push(`At most ${MAX_STRINGS} strings are supported`);
+  }
+  if (tokens.length === 0) {
+    errors.push('Enter one note per string');
+  }
+
+  // Root spelled as typed; the other strings are tempered against it
+  if (strings.length > 0) {
+    const root = strings[rootIndex].noteName.replace(/-?\d+$/, '');
+    const rootMidi = strings[rootIndex].midi;
+    strings.forEach(sn => {
+      sn.root = root;
+      sn.rootMidi = rootMidi;
+      sn.freq = temperedFrequency(rootMidi, sn.midi);
+    });
+  }
+  return { strings: strings, rootIndex: rootIndex, errors: errors };
+}
+
+/**
+ * A tuning as custom tuning text, in pattern order, with the melody string
+ * marked "*" unless it is the first (see parseCustomTuning).
+ */
+function formatCustomTuning(stringData) {
+  const melody = getMelodyString(stringData);
+  return stringData.map((sd, i) => (sd === melody && i > 0) ? `${sd.noteName}*` : sd.noteName).join(' ');
+}
+
+/**
+ * Whether a tuning's note labels should use flats: follow the accidental the
+ * root is spelled with, else the usual key signature for the root.
+ */
+function tuningUsesFlats(stringData) {
+  if (stringData.length === 0 || !stringData[0].root) return false;
+  const root = stringData[0].root;
+  if (root.includes('b')) return true;
+  if (root.includes('#')) return false;
+  return keyUsesFlats(parseNoteName(root));
+}
+
+/**
+ * The tuning in use: the custom tuning if one is typed, else the selected
+ * recommendation. Returns { strings, score, reasons, rankText } or null.
+ * Problems are reported with a notification when `notify` is set.
+ */
+function getSelectedTuning(notify) {
+  const customInput = document.getElementById('customTuning');
+  const scaleLength = parseFloat(document.getElementById('scaleLength').value);
+
+  if (customInput && customInput.value.trim() !== '') {
+    const parsed = parseCustomTuning(customInput.value);
+    if (parsed.errors.length > 0) {
+      if (notify) {
+        UIkit.notification({
+          message: `Custom tuning: ${parsed.errors.join('; ')}.`,
+          status: 'warning'
+        });
       }
+      return null;
     }
-    let rangeFactor = 1.75;
+    const candidate = assessTuning(scaleLength, parsed.strings);
+    candidate.rankText = candidate.included
+      ? 'Custom tuning'
+      : 'Custom tuning - outside the feasible range for this scale';
+    return candidate;
+  }
 
-    if (scaleLength > 39){
-      rangeFactor = 1.2;
+  const select = document.getElementById('finalTuning');
+  const opt = select.options[select.selectedIndex];
+  if (!opt || !opt.value) {
+    if (notify) {
+      UIkit.notification({
+        message: 'Please select a valid tuning from the dropdown.',
+        status: 'warning'
+      });
     }
+    return null;
+  }
 
-    // If at least half are in range, we keep it
-    if (inRangeCount >= Math.ceil(intervals.length / rangeFactor)) {
-      // Convert each freq to nearest main note
-      let stringNotes = [];
-      for (let f of stringFreqs) {
-        let bestNote = null;
-        let bestDiff = Infinity;
-        for (const mn of mainNotes) {
-          const d = Math.abs(noteFrequencies[mn] - f);
-          if (d < bestDiff) {
-            bestDiff = d;
-            bestNote = mn;
-          }
-        }
-        stringNotes.push({ noteName: bestNote, freq: noteFrequencies[bestNote] });
-      }
-      tunings.push(stringNotes);
+  try {
+    return {
+      strings: JSON.parse(opt.value),
+      score: parseInt(opt.dataset.score, 10),
+      reasons: JSON.parse(opt.dataset.reasons || '[]'),
+      rankText: `Ranked #${opt.dataset.rank} of ${select.options.length}`
+    };
+  } catch(e) {
+    if (notify) {
+      UIkit.notification({
+        message: 'Invalid tuning data.',
+        status: 'danger'
+      });
     }
+    return null;
   }
-  return tunings;
 }
 
-/** 
- * Basic multi-strand recommendations by pitch range.
+/**
+ * Rebuild the note pickers, one per string, from the typed custom tuning.
  */
-function getStringRecommendations(f) {
-  if (f >= 330) {
-    return { dacron: "4–5 strands", fishing: "3×0.15–0.20 mm" };
-  } else if (f >= 260) {
-    return { dacron: "5–6 strands", fishing: "2–3×0.20–0.25 mm" };
-  } else if (f >= 220) {
-    return { dacron: "6–8 strands", fishing: "2–3×0.25–0.30 mm" };
-  } else if (f >= 130) {
-    return { dacron: "8–12 strands", fishing: "3–4×0.30–0.35 mm" };
-  } else {
-    return { dacron: "12+ strands", fishing: "4+×0.35+ mm" };
+function updateCustomTuningPickers() {
+  const container = document.getElementById('customTuningPickers');
+  const numStrings = parseInt(document.getElementById('numStrings').value, 10);
+  const typed = parseCustomTuning(document.getElementById('customTuning').value).strings;
+  container.innerHTML = '';
+
+  for (let i = 0; i < numStrings; i++) {
+    const select = document.createElement('select');
+    select.className = 'uk-select uk-form-small uk-form-width-small';
+    select.id = `customNote${i}`;
+    select.setAttribute('aria-label', `Custom tuning string note ${i+1}`);
+
+    let optionsHtml = `<option value="">–</option>`;
+    for (let midi = MIN_MIDI_NOTE; midi <= MAX_MIDI_NOTE; midi++) {
+      const sharp = midiToNoteName(midi, false);
+      const flat = midiToNoteName(midi, true);
+      const selected = (typed[i] && typed[i].midi === midi) ? 'selected' : '';
+      optionsHtml += `<option value="${sharp}" ${selected}>${sharp === flat ? sharp : sharp + ' / ' + flat}</option>`;
+    }
+    select.innerHTML = optionsHtml;
+    container.appendChild(select);
   }
 }
-function getGutRecommendation(f) {
-  if (f >= 330) return "Thin (~0.6 mm)";
-  if (f >= 220) return "Medium (~0.8 mm)";
-  return "Thick (1.0+ mm)";
-}
-function getHorseHairRecommendation(f) {
-  if (f >= 330) return "~30 strands";
-  if (f >= 220) return "~40 strands";
-  return "~60+ strands";
+
+/**
+ * Copy the picked notes into the custom tuning input once every string has
+ * one (clearing every picker clears the custom tuning).
+ */
+function handleCustomNotePicked() {
+  const pickers = [...document.querySelectorAll('#customTuningPickers select')];
+  const missing = pickers.map((p, i) => (p.value === '') ? i + 1 : null).filter(i => i !== null);
+  if (missing.length > 0 && missing.length < pickers.length) {
+    const preview = document.getElementById('customTuningPreview');
+    preview.className = 'uk-text-small uk-text-danger uk-margin-remove';
+    preview.textContent = `Pick a note for string ${missing.join(', ')} (in pattern order)`;
+    return;
+  }
+
+  const rootIndex = parseCustomTuning(document.getElementById('customTuning').value).rootIndex;
+  const notes = pickers.filter(p => p.value !== '')
+    .map((p, i) => (i === rootIndex && i > 0) ? `${p.value}*` : p.value);
+  document.getElementById('customTuning').value = notes.join(' ');
+  updateCustomTuning();
 }
 
 /**
- * For labeling semitones in the final table.
+ * Validate the custom tuning and show how it fits the scale, then refresh the
+ * per-string inputs and the details panel.
  */
-function getSemitoneLabel(freq) {
-  let bestNote = null;
-  let bestDiff = Infinity;
-  Object.keys(noteFrequencies).forEach(n => {
-    const d = Math.abs(noteFrequencies[n] - freq);
-    if (d < bestDiff) {
-      bestDiff = d;
-      bestNote = n;
+function updateCustomTuning() {
+  const preview = document.getElementById('customTuningPreview');
+  const text = document.getElementById('customTuning').value.trim();
+  preview.textContent = '';
+
+  if (text !== '') {
+    const parsed = parseCustomTuning(text);
+    if (parsed.errors.length > 0) {
+      preview.className = 'uk-text-small uk-text-danger uk-margin-remove';
+      preview.textContent = parsed.errors.join('; ');
+    } else {
+      preview.className = 'uk-text-small uk-text-muted uk-margin-remove';
+      preview.textContent = parsed.strings.map(sn => `${sn.noteName}${noteCentsLabel(sn)} ${sn.freq.toFixed(1)} Hz`).join(', ') +
+        ' - used instead of the recommended tunings';
     }
+  }
+
+  updateTargetTensionInputs();
+  renderTuningDetails();
+}
+
+/**
+ * Build one target tension input per string of the selected tuning, in the same
+ * order as the string table (String 1 = last string of the pattern).
+ * Inputs are prefilled from the chosen feel preset, except those the user has
+ * typed a tension into (marked data-edited), which keep it.
+ */
+function updateTargetTensionInputs() {
+  const container = document.getElementById('stringTargets');
+  const edited = {};
+  container.querySelectorAll('input[data-edited]').forEach(input => {
+    edited[input.id] = input.value;
+  });
+  container.innerHTML = '';
+
+  const tuning = getSelectedTuning(false);
+  if (!tuning) return;
+  const stringData = tuning.strings;
+
+  const feel = document.getElementById('stringFeel').value;
+  const presetKg = STRING_FEEL_PRESETS[feel] || STRING_FEEL_PRESETS.medium;
+
+  [...stringData].reverse().forEach((sd, idx) => {
+    const kept = edited[`targetTension${idx}`];
+    const div = document.createElement('div');
+    div.innerHTML = `<label for="targetTension${idx}" class="uk-form-label"
+        >String ${idx+1} (${sd.noteName}) target tension (kg):</label
+      >
+      <input type="number" id="targetTension${idx}" class="uk-input" step="0.1" min="0.5"
+        value="${kept !== undefined ? escapeHtml(kept) : presetKg.toFixed(1)}" ${kept !== undefined ? 'data-edited' : ''} />`;
+    container.appendChild(div);
   });
-  return bestNote || '?';
+}
+
+/**
+ * Read the per-string target tensions (N), falling back to the medium preset.
+ */
+function getTargetTensions(numStrings) {
+  const targets = [];
+  for (let i = 0; i < numStrings; i++) {
+    const input = document.getElementById(`targetTension${i}`);
+    let kg = input ? parseFloat(input.value) : NaN;
+    if (isNaN(kg) || kg <= 0) kg = STRING_FEEL_PRESETS.medium;
+    targets.push(kgToNewtons(kg));
+  }
+  return targets;
+}
+
+/**
+ * " (+2.0¢)" after a note name when its string is tuned away from equal
+ * temperament, else nothing.
+ */
+function noteCentsLabel(sd) {
+  if (sd.rootMidi === undefined) return '';
+  const cents = centsFromEqual(sd.rootMidi, sd.midi);
+  return Math.abs(cents) < 0.05 ? '' : ` (${formatCents(cents)})`;
+}
+
+/**
+ * The melody string of a tuning: the string on the root (offset 0), else the first.
+ */
+function getMelodyString(stringData) {
+  return stringData.find(sd => sd.midi === sd.rootMidi) || stringData[0];
+}
+
+/**
+ * Hand positions on one string for steps 0..lastStep of the selected
+ * temperament (semitones, or the degrees of a Scala scale that does not have
+ * 12 notes). Stopping the string at distance d from the nut leaves L - d
+ * vibrating, so the stopped pitch is f_open * L / (L - d):
+ *
+ *   d = L * (1 - f_open / f_stopped)
+ *
+ * Returns [{ step, midi, freq, cents, distFromNut }], midi being the nearest
+ * chromatic note, cents the deviation from its equal-tempered pitch and
+ * distFromNut in the units of L.
+ */
+function calcHandPositions(scaleLength, sd, lastStep) {
+  const rootMidi = (sd.rootMidi !== undefined) ? sd.rootMidi : sd.midi;
+  const steps = temperedStepsAbove(rootMidi, sd.midi, lastStep);
+  const openFreq = steps[0].freq;
+  return steps.map(p => Object.assign(p, {
+    distFromNut: scaleLength * (1 - openFreq / p.freq)
+  }));
+}
+
+/** How long a download's object URL is kept before it is revoked (ms). */
+const DOWNLOAD_REVOKE_DELAY_MS = 1000;
+
+/**
+ * Save generated content (a Blob or text) as a file download.
+ */
+function downloadFile(filename, content, mimeType) {
+  const blob = (content instanceof Blob) ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  // Some browsers cancel the download if the URL is revoked straight away
+  setTimeout(() => {
+    link.remove();
+    URL.revokeObjectURL(url);
+  }, DOWNLOAD_REVOKE_DELAY_MS);
+}
+
+/**
+ * Draw the 1:1 finger-position ruler for the last calculated design,
+ * ready to serialise. Returns null (with a warning) before the first calculation.
+ */
+function buildRulerSvg() {
+  if (!lastRulerConfig) {
+    UIkit.notification({
+      message: 'Calculate a design first to get the hand positions for the ruler.',
+      status: 'warning',
+      pos: 'top-center',
+      timeout: 3000
+    });
+    return null;
+  }
+  const svg = drawFingerRulerSVG(lastRulerConfig);
+  svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  return svg;
+}
+
+/**
+ * Download the ruler as an SVG file (mm units, prints at true size).
+ */
+function handleRulerSvgExport() {
+  const svg = buildRulerSvg();
+  if (!svg) return;
+  const text = new XMLSerializer().serializeToString(svg);
+  downloadFile('Finger_Position_Ruler.svg', text, 'image/svg+xml');
+}
+
+/**
+ * Save the ruler as an A4 PDF. The container is exactly as wide as the
+ * printable area (210mm less 10mm margins), so the image lands at 1:1.
+ */
+function handleRulerPdfExport() {
+  const svg = buildRulerSvg();
+  if (!svg) return;
+  const container = document.createElement('div');
+  container.style.width = '190mm';
+  container.appendChild(svg);
+  document.body.appendChild(container);
+
+  const opt = {
+    margin: 10,
+    filename: 'Finger_Position_Ruler.pdf',
+    image: { type: 'jpeg', quality: 0.98 },
+    html2canvas: { scale: 3, scrollY: 0 },
+    jsPDF: { unit: 'mm', format: 'a4', orientation: 'portrait' }
+  };
+  html2pdf().set(opt).from(container).save()
+    .catch(err => {
+      UIkit.notification({
+        message: escapeHtml(`The ruler PDF could not be saved (${err.message || err}).`),
+        status: 'warning'
+      });
+    })
+    .finally(() => container.remove());
+}
+
+/**
+ * Read the A4 reference pitch input and apply it to the note model.
+ * An empty input falls back to 440 Hz.
+ */
+function readReferencePitch() {
+  const input = document.getElementById('referencePitch');
+  const raw = input ? input.value : '';
+  const hz = (raw === '') ? 440 : parseFloat(raw);
+
+  if (!setReferencePitch(hz)) {
+    UIkit.notification({
+      message: `Please enter an A4 reference pitch between ${MIN_REFERENCE_PITCH} and ${MAX_REFERENCE_PITCH} Hz.`,
+      status: 'warning'
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Read the temperament select (and the custom cents offsets) and apply it to
+ * the pitch model. Invalid custom offsets keep the temperament in use: the
+ * last valid offsets, or else the select is switched back to it.
+ */
+function readTemperament() {
+  const select = document.getElementById('temperament');
+  const key = select ? select.value : 'equal';
+  const centsInput = document.getElementById('customCents');
+  const showTemperament = (shown) => {
+    if (select) select.value = shown;
+    if (centsInput) centsInput.style.display = (shown === 'custom') ? '' : 'none';
+  };
+  showTemperament(key);
+
+  if (key !== 'custom') {
+    // 'scala' only works once a scale has been imported
+    if (!setTemperament(key)) {
+      setTemperament('equal');
+      showTemperament('equal');
+      return false;
+    }
+    return true;
+  }
+
+  const offsets = centsInput.value.split(/[\s,]+/).filter(t => t !== '').map(Number);
+  if (!setTemperament('custom', offsets)) {
+    const inUse = getTemperamentKey();
+    showTemperament(inUse);
+    UIkit.notification({
+      message: 'Please enter 12 cents offsets between -100 and 100, one per semitone from the root. ' +
+        escapeHtml(inUse === 'custom' ? 'Keeping the last valid offsets.' : `Still using ${getTemperamentName()}.`),
+      status: 'warning'
+    });
+    return false;
+  }
+  return true;
 }
 
 /**
@@ -201,42 +733,184 @@ function populatePatternDropdown() {
   });
 }
 
+/**
+ * List the tunings left out of #finalTuning and why, in a collapsed list under
+ * it: the EXCLUDED_TUNINGS_SHOWN best scoring, lowest root first, then a count
+ * of the rest.
+ */
+function renderExcludedTunings(excluded) {
+  const container = document.getElementById('excludedTunings');
+  if (!container) return;
+  container.hidden = excluded.length === 0;
+  if (excluded.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const shown = [...excluded].sort((a, b) => b.score - a.score).slice(0, EXCLUDED_TUNINGS_SHOWN);
+  let html = `<summary>${excluded.length} tuning${excluded.length > 1 ? 's' : ''} left out</summary><ul class="uk-list uk-list-collapse uk-margin-remove">`;
+  excluded.filter(c => shown.includes(c)).forEach(c => {
+    const why = c.included ? ['every string scores 0 in the shown materials'] : c.reasons.slice(1);
+    html += `<li>${c.strings.map(sd => sd.noteName).join(' ')} (score ${c.score}): ${escapeHtml(why.join('; '))}</li>`;
+  });
+  if (excluded.length > shown.length) {
+    html += `<li>…and ${excluded.length - shown.length} more, further out of range.</li>`;
+  }
+  container.innerHTML = html + `</ul>`;
+}
+
 /**
  * Generate feasible tunings for the current scale & pattern, then populate #finalTuning.
  */
 function updateRecommendedTunings() {
   const scaleLength = parseFloat(document.getElementById('scaleLength').value);
   if (!validateScaleLength(scaleLength)) return;
+  if (!readReferencePitch()) return;
 
-  const pattern = document.getElementById('pattern').value;
-  const intervals = parseIntervalPattern(pattern);
-
-  const tunings = generateFeasibleTunings(scaleLength, intervals);
+  const intervals = updatePatternPreview();
   const finalTuningSelect = document.getElementById('finalTuning');
+  if (!intervals) {
+    finalTuningSelect.innerHTML = '<option value="">Invalid tuning pattern</option>';
+    renderExcludedTunings([]);
+    updateTargetTensionInputs();
+    renderTuningDetails();
+    return;
+  }
+
+  const candidates = generateFeasibleTunings(scaleLength, intervals);
+  const tunings = candidates
+    .filter(c => c.included && c.score > 0)
+    .sort((a, b) => b.score - a.score);
+  renderExcludedTunings(candidates.filter(c => !(c.included && c.score > 0)));
+
+  const [fMin, fMax] = getFeasibleRange(scaleLength, getStringMaterials(), getSelectedMaterialKeys());
+  const hint = document.getElementById('feasibleRangeHint');
+  if (hint) {
+    hint.textContent = (fMax > 0)
+      ? `Open strings from ${getNearestNoteName(fMin)} to ${getNearestNoteName(fMax)} are feasible at this scale with the shown materials.`
+      : '';
+  }
+
   finalTuningSelect.innerHTML = '';
 
   if (tunings.length === 0) {
     const opt = document.createElement('option');
     opt.value = '';
-    opt.text = 'No feasible tunings found';
+    opt.text = (getSelectedMaterialKeys().length === 0)
+      ? 'No feasible tunings: no string material selected'
+      : 'No feasible tunings found';
     finalTuningSelect.appendChild(opt);
+    updateTargetTensionInputs();
+    renderTuningDetails();
     return;
   }
 
-  tunings.forEach(tArr => {
-    const label = tArr.map(x => x.noteName).join(' ');
+  tunings.forEach((candidate, idx) => {
+    const tArr = candidate.strings;
+    let label = `#${idx+1} ${tArr.map(x => x.noteName).join(' ')} (score ${candidate.score})`;
+    // Flag tunings where some of the shown materials are at risk
+    const notes = tArr.reduce((all, x) => all.concat(x.safetyNotes || []), []);
+    if (notes.length > 0) {
+      const worst = tArr.reduce((lvl, x) => worseSafetyLevel(lvl, x.safety || 'ok'), 'ok');
+      const summary = (worst === 'slack') ? 'slack' : 'near breaking';
+      label += ` ⚠ (${notes.length} material warning${notes.length > 1 ? 's' : ''}, ${summary})`;
+    }
     const opt = document.createElement('option');
     opt.value = JSON.stringify(tArr);
     opt.text = label;
+    opt.title = candidate.reasons.concat(notes).join('\n');
+    opt.dataset.rank = idx + 1;
+    opt.dataset.score = candidate.score;
+    opt.dataset.reasons = JSON.stringify(candidate.reasons);
     finalTuningSelect.appendChild(opt);
   });
+
+  updateTargetTensionInputs();
+  renderTuningDetails();
+}
+
+/**
+ * Fill the details panel for the tuning in use: its rank and score and why,
+ * each string's best material with the gauge and tension for its target, and
+ * the keys/modes the open strings can drone for.
+ */
+function renderTuningDetails() {
+  const panel = document.getElementById('tuningDetails');
+  if (!panel) return;
+
+  const tuning = getSelectedTuning(false);
+  if (!tuning) {
+    panel.innerHTML = '';
+    panel.style.display = 'none';
+    return;
+  }
+
+  const scaleLength = parseFloat(document.getElementById('scaleLength').value);
+  const scaleMm = scaleLength * 10;
+  const stringData = tuning.strings;
+  const reasons = tuning.reasons;
+  const materials = getStringMaterials();
+  const reversedStrings = [...stringData].reverse();
+  const targets = getTargetTensions(reversedStrings.length);
+  const useFlats = tuningUsesFlats(stringData);
+
+  let html = `<h5 class="uk-margin-remove">${tuning.rankText} (score ${tuning.score}/100)</h5>
+    <ul class="uk-list uk-list-bullet uk-text-small uk-margin-small">
+      ${reasons.map(r => `<li>${escapeHtml(r)}</li>`).join('')}
+    </ul>`;
+
+  html += `<table class="uk-table uk-table-small uk-table-divider uk-text-small uk-margin-small">
+    <thead><tr><th>String</th><th>Best material</th><th>Gauge / tension at target</th><th>Stress</th></tr></thead>
+    <tbody>`;
+  reversedStrings.forEach((sd, idx) => {
+    const fit = sd.fit || {};
+    const material = materials[fit.materialKey];
+    if (!material) {
+      html += `<tr><td>${idx+1} (${sd.noteName})</td><td colspan="3">–</td></tr>`;
+      return;
+    }
+    const g = solveStringGauge(material, scaleMm, sd.freq, targets[idx]);
+    html += `<tr>
+      <td>${idx+1} (${sd.noteName})</td>
+      <td>${escapeHtml(material.name)}</td>
+      <td>${g.text}, ${formatTension(g.tensionN)}</td>
+      <td>${fit.stressPercent.toFixed(0)}% ${fit.comfortable ? '(comfortable)' : '⚠'}</td>
+    </tr>`;
+  });
+  html += `</tbody></table>`;
+
+  const modes = findSupportedModes(stringData.map(sd => sd.midi), useFlats);
+  html += `<p class="uk-text-small uk-margin-remove"><strong>Drones support:</strong> `;
+  // Group the modes by tonic: "A major (Ionian), Dorian... (strings on 1, 5)"
+  const byTonic = {};
+  modes.forEach(m => {
+    byTonic[m.tonic] = byTonic[m.tonic] || { modes: [], degrees: m.degrees };
+    byTonic[m.tonic].modes.push(m.mode);
+  });
+  html += modes.length > 0
+    ? Object.keys(byTonic).map(t => `${t} ${byTonic[t].modes.join(', ')} (strings on ${byTonic[t].degrees})`).join('; ')
+    : 'no common key or mode - the strings clash';
+  html += `</p>`;
+
+  // Audio preview: each string, then all of them together
+  const tuningName = reversedStrings.map(sd => sd.noteName).join(' ');
+  html += `<div class="uk-margin-small-top">`;
+  reversedStrings.forEach((sd, idx) => {
+    html += previewButtonHtml(`${idx+1} (${sd.noteName})`, [sd.freq], PREVIEW_NOTE_SECONDS, `String ${idx+1} ${sd.noteName}`) + ' ';
+  });
+  html += previewButtonHtml('Drone chord', reversedStrings.map(sd => sd.freq), PREVIEW_CHORD_SECONDS, `Drone chord ${tuningName}`);
+  html += ` <button type="button" id="previewWavBtn" class="uk-button uk-button-link uk-text-small">Save last preview as WAV</button></div>`;
+
+  panel.innerHTML = html;
+  panel.style.display = 'block';
 }
 
 /**
  * Build the "Critical Dimensions" table (on the left of the 2-column layout).
+ * Returns the design's warnings (see generateCriticalDimensions).
  */
-function buildCriticalDimensionsTable(scaleCm, numStrings) {
-  const dims = generateCriticalDimensions(scaleCm, numStrings);
+function buildCriticalDimensionsTable(scaleCm, numStrings, handRange, body) {
+  const { dims, warnings } = generateCriticalDimensions(scaleCm, numStrings, handRange, body);
   const tbody = document.querySelector('#criticalDimensionsTable tbody');
   tbody.innerHTML = '';
 
@@ -249,11 +923,14 @@ function buildCriticalDimensionsTable(scaleCm, numStrings) {
     </tr>`;
     tbody.innerHTML += row;
   });
+  return warnings;
 }
 
 /**
  * Generate the array of dimension objects for the "Critical Dimensions" table,
  * AND build+draw the Talharpa SVG at the end using drawTalharpaSVG(config).
+ * Returns { dims, warnings }, warnings being texts for the caller to show
+ * (headstock too wide, soundholes that don't fit).
  *
  * - Bridge width: piecewise from real data
  *   60 mm @ 30 cm
@@ -263,8 +940,16 @@ function buildCriticalDimensionsTable(scaleCm, numStrings) {
  *   If >56 => clamp to 70
  * - Then subtract 12 mm margin on each side => usableSpan = bridgeWidth - 24
  * - gap = usableSpan/(n-1) if n>1
+ * - handRange (optional): { steps, stepName, minWindowLength, markers } from
+ *   the hand position chart, to compare the window length (C) with; markers
+ *   (if set) are drawn on the front view
+ * - body (optional): { root, useFlats, airTarget, wood } - the tuning's root
+ *   string to relate the air resonance to (spelled with flats if useFlats),
+ *   the air resonance { freq, label } to size the soundhole for (see
+ *   readAirTarget) or null for the standard soundhole, and the soundboard
+ *   wood (from WOOD_SPECIES, the reference spruce if not given)
  */
-function generateCriticalDimensions(scaleCm, numStrings) {
+function generateCriticalDimensions(scaleCm, numStrings, handRange, body) {
   // Convert cm to mm
   const scaleMm = scaleCm * 10;
 
@@ -277,11 +962,12 @@ function generateCriticalDimensions(scaleCm, numStrings) {
   const overallLenMm = calcOverallLength(scaleCm);
 
   // (C) Window length = half the scale + 20mm
-  const windowLength = (scaleMm * 0.5) + 20;
+  const windowLength = calcWindowLength(scaleCm);
 
   // (D) Window width = pegSpacing * numStrings
   //     half a string width either side of the span of the string
-  const pegSpacing = 36; 
+  //     (pegs are squeezed closer together above 4 strings)
+  const pegSpacing = calcPegSpacing(numStrings);
   const windowWidth = pegSpacing * numStrings;
 
   // (E) Peg spacing = pegSpacing
@@ -293,10 +979,14 @@ function generateCriticalDimensions(scaleCm, numStrings) {
   //   - 60 mm @ 30 cm
   //   - 70 mm @ 56 cm
   //   - linear interpolation in [30..56], clamp outside that range
-  const rawBridgeWidth = calcBridgeWidthFromScale(scaleCm);
+  //   - widened if needed so strings are at least MIN_BRIDGE_GAP apart
+  const marginPerSide = 12;
+  const rawBridgeWidth = Math.max(
+    calcBridgeWidthFromScale(scaleCm),
+    2 * marginPerSide + (numStrings - 1) * MIN_BRIDGE_GAP
+  );
 
   // Subtract 12 mm margin each side => usable span
-  const marginPerSide = 12;
   let usableSpan = rawBridgeWidth - 2 * marginPerSide;
   if (usableSpan < 0) usableSpan = 0; // clamp
 
@@ -332,14 +1022,69 @@ if (scaleMm > 450){
     neckThickness = 25;
 }
 
-  // tailTopWidth = gap * numStrings
-const tailTopWidth = gap * numStrings;
+  // tailTopWidth = gap * numStrings (with a minimum for a single string)
+const tailTopWidth = Math.max(gap * numStrings, MIN_TAIL_TOP_WIDTH);
 const tailBottomWidth = tailTopWidth * 0.7;
 let diff = overallLenMm - scaleMm;
 if (diff < 0) diff = 0;
 const tailLength = 0.4 * diff;
 const tailRadius = 4;
 
+  // Soundboards as stiff as the reference spruce ones, and their plate modes
+  // over the cut-out
+  const wood = (body && body.wood) || WOOD_SPECIES[REFERENCE_WOOD];
+  const soundboardThickness = calcEquivalentThickness(wood);
+  const cavity = calcCavityOutline(headstockWidth, bodyMinWidth, overallLenMm, neckStart);
+  const plateModes = calcPlateModes(wood, cavity.height, (cavity.topWidth + cavity.bottomWidth) / 2, soundboardThickness);
+
+  // Air cavity, and the soundhole(s): the standard size, or sized for the
+  // target air resonance. They must fit between the top of the cut-out and
+  // the bridge (the pegs are half the cut-out top down, as drawn), and within
+  // the cut-out's narrowest width there.
+  const cavityVolume = calcCavityArea(cavity) * bodyMinDepth;
+  const airTarget = body && body.airTarget;
+  const soundholeTop = neckStart + SOUNDHOLE_CLEARANCE_MM;
+  const soundholeBottom = cutOutTop / 2 + pegToBridge - SOUNDHOLE_CLEARANCE_MM;
+  const soundholeSpan = Math.max(soundholeBottom - soundholeTop, 0);
+  const widthAt = y => headstockWidth + (bodyMinWidth - headstockWidth) * (y / overallLenMm) - 2 * FRAME_SIDE_WALL_MM;
+  const soundholeWidth = Math.min(widthAt(soundholeTop), widthAt(soundholeBottom));
+  let soundholes;
+  if (airTarget) {
+    soundholes = planSoundholes(cavityVolume, airTarget.freq, soundboardThickness, soundholeWidth, soundholeSpan);
+  } else {
+    const diameter = calcSoundholeDiameter(scaleCm);
+    soundholes = { count: 1, diameter: diameter, columnLength: diameter, fits: diameter <= soundholeSpan };
+  }
+  const soundholeCentre = placeSoundholeColumn(soundHoleCenter, soundholes.columnLength, soundholeTop, soundholeBottom);
+
+  const airResonance = calcHelmholtzFrequency(cavityVolume, soundholes.diameter, soundholes.count, soundboardThickness);
+  const soundholeText = (soundholes.count > 1)
+    ? `${soundholes.count} holes ⌀ ${soundholes.diameter.toFixed(0)} mm, ${(SOUNDHOLE_SPACING * soundholes.diameter).toFixed(0)} mm apart along the body`
+    : `hole ⌀ ${soundholes.diameter.toFixed(0)} mm`;
+  let airComment = `Helmholtz, ${soundholeText} in a ${soundboardThickness.toFixed(1)} mm soundboard`;
+  if (airTarget) airComment += `, sized for ${airTarget.label}`;
+  if (body && body.root) airComment += ` - ${describeAgainstRoot(airResonance, body.root, body.useFlats)}`;
+
+  // Problems the caller shows once the tables are built
+  const warnings = [];
+  if (!soundholes.fits) {
+    const problems = [];
+    if (soundholes.columnLength > soundholeSpan) {
+      problems.push(`${soundholes.columnLength.toFixed(0)} mm lengthways (${soundholeSpan.toFixed(0)} mm are free between the cut-out top and the bridge)`);
+    }
+    if (soundholes.diameter > SOUNDHOLE_MAX_FRACTION * soundholeWidth) {
+      problems.push(`${soundholes.diameter.toFixed(0)} mm across (more than ${SOUNDHOLE_MAX_FRACTION * 100}% of the ${soundholeWidth.toFixed(0)} mm cut-out)`);
+    }
+    const remedy = airTarget ? 'choose a lower air resonance or a larger body' : 'size the soundhole for a lower air resonance';
+    const fitWarning = `The ${soundholeText} take${soundholes.count > 1 ? '' : 's'} up ${problems.join(' and ')} - ${remedy}.`;
+    airComment += `. ⚠ ${fitWarning}`;
+    warnings.push(`Soundhole: ${fitWarning}`);
+  }
+
+  // Predicted body resonances, for the tap-tone comparison
+  lastBodyResonances = [{ freq: airResonance, label: "Air (Helmholtz)" }].concat(
+    plateModes.slice(0, 3).map(p => ({ freq: p.freq, label: `Plate (${p.m},${p.n})` })));
+
   // Build the dimension array
   const dims = [
     {
@@ -364,7 +1109,9 @@ const tailRadius = 4;
       name: "Window width",
       key: "D",
       value: windowWidth.toFixed(1),
-      comment: "Dotted line denotes reduced width over drone string(s)"
+      comment: (numStrings > 1)
+        ? "Dotted line denotes reduced width over drone string(s)"
+        : "Single melody string, no drone strings"
     },
     {
       name: "Peg spacing",
@@ -429,8 +1176,13 @@ const tailRadius = 4;
       {
         name: "Soundhole Centre",
         key: "O",
-        value: soundHoleCenter.toFixed(0),
-        comment: "Centre of hole (circa 50mm)"
+        value: soundholeCentre.toFixed(0),
+        comment: ((soundholes.count > 1)
+          ? `Centre of the ${soundholeText}`
+          : `Centre of ${soundholeText}`) +
+          ((soundholes.fits && Math.abs(soundholeCentre - soundHoleCenter) >= 0.5)
+            ? `, moved from ${soundHoleCenter.toFixed(0)} mm to sit between the cut-out top and the bridge`
+            : '')
       },
       {
         name: "Neck Start",
@@ -443,9 +1195,52 @@ const tailRadius = 4;
         key: "Q",
         value: neckThickness.toFixed(0),
         comment: "Softer materials may require additional thickness"
+      },
+      {
+        name: "Air volume",
+        key: "S",
+        value: `${(cavityVolume / 1e6).toFixed(2)} L`,
+        comment: "Frame cut-out × body depth (J), between the soundboards"
+      },
+      {
+        name: "Air resonance",
+        key: "T",
+        value: `${airResonance.toFixed(0)} Hz`,
+        comment: airComment
+      },
+      {
+        name: "Soundboard thickness",
+        key: "U",
+        value: soundboardThickness.toFixed(1),
+        comment: (wood === WOOD_SPECIES[REFERENCE_WOOD])
+          ? `${wood.name}, 2 PL (front and back)`
+          : `${wood.name}, as stiff as the ${DEFAULT_SOUNDBOARD_THICKNESS_MM} mm reference board - 2 PL (front and back)`
+      },
+      {
+        name: "Plate resonances",
+        key: "V",
+        value: `${plateModes[0].freq.toFixed(0)} Hz`,
+        comment: `Soundboard over the cut-out, grain along the body: ${plateModes.map(p => `(${p.m},${p.n}) ${p.freq.toFixed(0)} Hz`).join(", ")}`
       }
   ];
 
+  // Compare the window with the shortest one the player's hand-position range needs
+  if (handRange) {
+    const windowDim = dims.find(d => d.key === "C");
+    const minimal = Math.ceil(handRange.minWindowLength);
+    const range = `0–${handRange.steps} ${handRange.stepName.toLowerCase()}s`;
+    windowDim.comment = (minimal > windowLength)
+      ? `⚠ Too short for ${range} - needs at least ${minimal} mm`
+      : `For a full octave. Minimal for ${range}: ${minimal} mm - reduce for traditional design`;
+  }
+
+  // Warn when the headstock gets impractically wide for the body
+  const layoutWarnings = getStringLayoutWarnings(numStrings, headstockWidth, bodyMinWidth, pegSpacing);
+  if (layoutWarnings.length > 0) {
+    dims.find(d => d.key === "D").comment += ". ⚠ " + layoutWarnings.join(" ");
+    warnings.push(...layoutWarnings);
+  }
+
   // ----------------------------------------------------------------------
   // BUILD A CONFIG OBJECT AND DRAW THE TALHARPA SVG
   // (these values are either derived above or set to defaults)
@@ -487,9 +1282,18 @@ const tailRadius = 4;
     pegSpacing: pegSpacing,
     numStrings: numStrings,
     pegHoleRadius: 3,
+    soundholeCentre: soundholeCentre,
+    soundholeDiameter: soundholes.diameter,
+    soundholeCount: soundholes.count,
+    soundholeSpacing: SOUNDHOLE_SPACING * soundholes.diameter,
+    soundboardThickness: soundboardThickness,
     
     // gap between strings at the bridge end
     gap: gap,
+    tailTopWidth: tailTopWidth,
+
+    // optional hand-position markers, one list per string (left to right)
+    handPositions: (handRange && handRange.markers) || null,
 
     // optional display settings:
     margin: 10,
@@ -583,7 +1387,7 @@ Instrument.</i></p>
   <li>
     <strong>Cut Slivers from the Joist:</strong> 
     After you have removed the main frame, use a hand saw or band saw to slice off 10–15&nbsp;mm thick boards from the remaining material.
-    Plane these down to your desired soundboard thickness (often 6–7)&nbsp;mm, depending on design and resonance needs).
+    Plane these down to the soundboard thickness, U in the dimensions table (${soundboardThickness.toFixed(1)}&nbsp;mm for ${wood.name}), adjusting to tap tone and resonance needs.
   </li>
   <li>
     <strong>Add a Base Board (Reinforcement Strip):</strong>
@@ -630,7 +1434,7 @@ if (savePdfButton) {
   
 
 
-  return dims;
+  return { dims: dims, warnings: warnings };
 }
 
 
@@ -653,6 +1457,32 @@ function calcBridgeWidthFromScale(scaleCm) {
 
 
 
+/**
+ * Peg spacing for the number of strings:
+ *  - 36 mm (from image research) for up to 4 strings
+ *  - 3 mm closer per extra string, down to MIN_PEG_SPACING,
+ *    so 5 strings => 33 mm ... 8 strings => 24 mm
+ */
+function calcPegSpacing(numStrings) {
+  if (numStrings <= 4) return 36;
+  return Math.max(MIN_PEG_SPACING, 36 - 3 * (numStrings - 4));
+}
+
+/**
+ * Warnings for string counts that make the headstock impractical:
+ * a headstock much wider than the body, or pegs too close to turn.
+ */
+function getStringLayoutWarnings(numStrings, headstockWidth, bodyMinWidth, pegSpacing) {
+  const warnings = [];
+  if (headstockWidth > bodyMinWidth + 20) {
+    warnings.push(`With ${numStrings} strings the headstock (${headstockWidth.toFixed(0)} mm) is much wider than the body (${bodyMinWidth.toFixed(0)} mm) - consider staggering the pegs in two rows or a longer scale.`);
+  }
+  if (pegSpacing <= MIN_PEG_SPACING) {
+    warnings.push(`Pegs are only ${pegSpacing} mm apart - check there is room to turn them.`);
+  }
+  return warnings;
+}
+
 /**
  * Piecewise logic for overall length:
  *  - Up to 40 => x1.66
@@ -696,6 +1526,157 @@ function calcBodyMinWidth(scaleCm) {
   return 190 + (210 - 190)*frac2;
 }
 
+/**
+ * Soundhole diameter (mm): 50mm, or 30mm below a 35 cm scale.
+ */
+function calcSoundholeDiameter(scaleCm) {
+  return (scaleCm < 35) ? 30 : 50;
+}
+
+/**
+ * (C) Window length (mm): half the scale + 20mm, room for a full octave.
+ */
+function calcWindowLength(scaleCm) {
+  return (scaleCm * 10 * 0.5) + 20;
+}
+
+/**
+ * Where the open window runs along the strings, in mm from the pegs.
+ * Mirrors generateCriticalDimensions: the window starts at the 35mm cut-out
+ * top and the peg holes sit half way up it.
+ */
+function calcWindowSpan(scaleCm) {
+  const cutOutTop = 35;
+  const pegStart = cutOutTop / 2;
+  const windowLength = calcWindowLength(scaleCm);
+  return {
+    start: cutOutTop - pegStart,
+    end: cutOutTop - pegStart + windowLength,
+    length: windowLength
+  };
+}
+
+/**
+ * Check a hand position (mm from the pegs) against the window and the bridge.
+ * Returns 'ok', 'headstock' (above the window, under the headstock), 'window'
+ * (past the end of the window) or 'bridge' (too close to the bridge to play).
+ */
+function checkHandPosition(distMm, scaleMm, span) {
+  if (distMm > scaleMm - MIN_BRIDGE_CLEARANCE_MM) return 'bridge';
+  if (distMm < span.start) return 'headstock';
+  if (distMm > span.end - WINDOW_FINGER_ROOM_MM) return 'window';
+  return 'ok';
+}
+
+/**
+ * The shortest window (mm) that reaches every position in the chart, with room
+ * for the finger past the last one. `positionLists` holds calcHandPositions
+ * results (distances in cm) for each string.
+ */
+function calcMinimalWindowLength(positionLists, span) {
+  let furthestMm = 0;
+  positionLists.forEach(positions => {
+    furthestMm = Math.max(furthestMm, positions[positions.length - 1].distFromNut * 10);
+  });
+  return Math.max(0, furthestMm + WINDOW_FINGER_ROOM_MM - span.start);
+}
+
+/**
+ * Read the hand-position range input (steps above the open string).
+ * Empty or out of range values fall back to one octave of the temperament.
+ */
+function readHandRange() {
+  const input = document.getElementById('handRange');
+  const raw = input ? input.value.trim() : '';
+  if (raw === '') return getStepsPerOctave();
+
+  const steps = parseInt(raw, 10);
+  if (isNaN(steps) || steps < MIN_HAND_RANGE || steps > MAX_HAND_RANGE) {
+    UIkit.notification({
+      message: `Please enter a hand-position range between ${MIN_HAND_RANGE} and ${MAX_HAND_RANGE} steps.`,
+      status: 'warning'
+    });
+    return getStepsPerOctave();
+  }
+  return steps;
+}
+
+/**
+ * Read the finger contact width and string deflection (mm) for back-of-finger
+ * stopping. Returns null when both are 0 (no compensation) or either is invalid.
+ */
+function readFingerCompensation() {
+  const read = id => {
+    const input = document.getElementById(id);
+    const raw = input ? input.value.trim() : '';
+    return (raw === '') ? 0 : parseFloat(raw);
+  };
+  const contactWidthMm = read('fingerWidth');
+  const deflectionMm = read('stringDeflection');
+
+  if (isNaN(contactWidthMm) || contactWidthMm < 0 || contactWidthMm > MAX_FINGER_WIDTH_MM ||
+      isNaN(deflectionMm) || deflectionMm < 0 || deflectionMm > MAX_STRING_DEFLECTION_MM) {
+    UIkit.notification({
+      message: `Please enter a finger contact width of 0–${MAX_FINGER_WIDTH_MM} mm and a string deflection of 0–${MAX_STRING_DEFLECTION_MM} mm.`,
+      status: 'warning'
+    });
+    return null;
+  }
+  if (contactWidthMm === 0 && deflectionMm === 0) return null;
+  return { contactWidthMm: contactWidthMm, deflectionMm: deflectionMm };
+}
+
+/**
+ * Read the air resonance to size the soundhole for, relative to the tuning's
+ * root string (spelled with flats if useFlats). Returns { freq, label }, or null for the standard soundhole
+ * (also when a custom frequency is out of range, with a warning).
+ */
+function readAirTarget(root, useFlats) {
+  const select = document.getElementById('airTarget');
+  const choice = select ? select.value : 'standard';
+
+  if (choice === 'root') {
+    return { freq: root.freq, label: `the root ${root.noteName}` };
+  }
+  if (choice === 'fifthBelow' || choice === 'octaveBelow') {
+    const semis = (choice === 'fifthBelow') ? 7 : 12;
+    const rootMidi = (root.rootMidi !== undefined) ? root.rootMidi : root.midi;
+    const freq = temperedFrequency(rootMidi, root.midi - semis);
+    return { freq: freq, label: `${describeInterval(-semis)} the root (${midiToNoteName(root.midi - semis, useFlats)})` };
+  }
+  if (choice === 'custom') {
+    const freq = parseFloat(document.getElementById('airTargetHz').value);
+    if (isNaN(freq) || freq < MIN_AIR_TARGET_HZ || freq > MAX_AIR_TARGET_HZ) {
+      UIkit.notification({
+        message: `Please enter a target air resonance of ${MIN_AIR_TARGET_HZ}–${MAX_AIR_TARGET_HZ} Hz.`,
+        status: 'warning'
+      });
+      return null;
+    }
+    return { freq: freq, label: `${freq} Hz` };
+  }
+  return null;
+}
+
+/**
+ * Afterlength (mm): bridge centre to the tailpiece holes.
+ * Mirrors the tailpiece placement in drawTalharpaSVG - the tailpiece is centred
+ * between the bridge and the bottom of the body, with the holes 13mm below its top.
+ */
+function calcAfterLength(scaleCm) {
+  const scaleMm = scaleCm * 10;
+  const overallLenMm = calcOverallLength(scaleCm);
+  const pegStart = 35 / 2;
+  const bridgeLength = 5;
+
+  const regionStart = pegStart + scaleMm + bridgeLength / 2;
+  const regionSpan = overallLenMm - regionStart;
+  const tailLength = 0.4 * Math.max(0, overallLenMm - scaleMm);
+  const tailTop = regionStart + (regionSpan - tailLength) / 2;
+
+  return (tailTop + 13) - (pegStart + scaleMm);
+}
+
 /**
  * Once the user picks a final tuning and clicks "Calculate":
  *  - Reverse the string order
@@ -707,109 +1688,315 @@ function calculateStrings() {
   const scaleLength = parseFloat(document.getElementById('scaleLength').value);
   if (!validateScaleLength(scaleLength)) return;
 
-  const finalTuningVal = document.getElementById('finalTuning').value;
-  if (!finalTuningVal) {
-    UIkit.notification({
-      message: 'Please select a valid tuning from the dropdown.',
-      status: 'warning'
-    });
-    return;
-  }
+  if (!readReferencePitch()) return;
 
-  let stringData;
-  try {
-    stringData = JSON.parse(finalTuningVal);
-  } catch(e) {
-    UIkit.notification({
-      message: 'Invalid tuning data.',
-      status: 'danger'
-    });
-    return;
-  }
+  // The custom tuning if one is typed, else the selected recommendation
+  const tuning = getSelectedTuning(true);
+  if (!tuning) return;
+  const stringData = tuning.strings;
 
   // Reverse the strings
   const reversedStrings = [...stringData].reverse();
 
-  // 1) Build the string material recommendations
+  // Spell semitone labels to suit the key of the tuning
+  const useFlats = tuningUsesFlats(stringData);
+
+  // 1) Build the string material recommendations: solve each material's gauge
+  //    for the target tension of each string at this scale length
+  const scaleMm = scaleLength * 10;
+  const targets = getTargetTensions(reversedStrings.length);
+  const materials = getStringMaterials();
+  const materialKeys = getSelectedMaterialKeys();
+  const totals = {};
+  materialKeys.forEach(key => totals[key] = 0);
+
+  const stringTableHead = document.querySelector('#stringTable thead');
+  let headHtml = `<tr>
+      <th>String #</th>
+      <th>Note</th>
+      <th>Target</th>`;
+  materialKeys.forEach(key => {
+    headHtml += `<th>${escapeHtml(materials[key].name)}</th>`;
+  });
+  stringTableHead.innerHTML = headHtml + `</tr>`;
+
+  const safetyClasses = { ok: '', slack: 'uk-text-warning', warning: 'uk-text-warning', danger: 'uk-text-danger' };
+  const warnings = [];
+
   const stringTableBody = document.querySelector('#stringTable tbody');
   stringTableBody.innerHTML = '';
   reversedStrings.forEach((sd, idx) => {
-    const rec = getStringRecommendations(sd.freq);
-    const gutRec = getGutRecommendation(sd.freq);
-    const hairRec = getHorseHairRecommendation(sd.freq);
-
-    const row = `<tr>
+    let row = `<tr>
       <td>${idx+1}</td>
-      <td>${sd.noteName}</td>
-      <td>${gutRec}</td>
-      <td>${hairRec}</td>
-      <td>${rec.dacron}</td>
-      <td>${rec.fishing}</td>
-    </tr>`;
+      <td>${sd.noteName}${noteCentsLabel(sd)}<br><span class="uk-text-muted">${sd.freq.toFixed(2)} Hz</span></td>
+      <td>${formatTension(targets[idx])}</td>`;
+    materialKeys.forEach(key => {
+      const g = solveStringGauge(materials[key], scaleMm, sd.freq, targets[idx]);
+      totals[key] += g.tensionN;
+
+      // Stress as a percentage of the breaking stress
+      const safety = assessStringSafety(materials[key], scaleMm, sd.freq, g.tensionN);
+      if (safety.level !== 'ok') {
+        warnings.push({ level: safety.level, text: `String ${idx+1} (${sd.noteName}), ${materials[key].name}: ${safety.message}` });
+      }
+      row += `<td>${g.text}<br><span class="uk-text-muted">${formatTension(g.tensionN)}</span>
+        <br><span class="${safetyClasses[safety.level]}">${safety.stressPercent.toFixed(0)}% of breaking${safety.level !== 'ok' ? ' ⚠' : ''}</span></td>`;
+    });
+    row += `</tr>`;
     stringTableBody.innerHTML += row;
   });
 
-  // 2) Build the critical dimensions table
+  // Totals: the tailpiece takes the full tension, the bridge the downward component
+  const afterLength = calcAfterLength(scaleLength);
+  const stringTableFoot = document.querySelector('#stringTable tfoot');
+  let tailRow = `<tr><td colspan="3">Tailpiece load (total)</td>`;
+  let bridgeRow = `<tr><td colspan="3">Bridge load (at ${BRIDGE_HEIGHT_MM}mm bridge height)</td>`;
+  materialKeys.forEach(key => {
+    tailRow += `<td>${formatTension(totals[key])}</td>`;
+    bridgeRow += `<td>${formatTension(calcBridgeLoad(totals[key], scaleMm, afterLength))}</td>`;
+  });
+  stringTableFoot.innerHTML = tailRow + `</tr>` + bridgeRow + `</tr>`;
+
+  // Safety warnings below the table
+  const warningsDiv = document.getElementById('stringWarnings');
+  warningsDiv.innerHTML = '';
+  if (warnings.length > 0) {
+    const danger = warnings.some(w => w.level === 'danger');
+    warningsDiv.innerHTML = `<div class="uk-alert-${danger ? 'danger' : 'warning'}" uk-alert>
+        <p><strong>String safety warnings:</strong></p>
+        <ul>${warnings.map(w => `<li>${escapeHtml(w.text)}</li>`).join('')}</ul>
+      </div>`;
+  }
+
+  // 2) Hand positions for the chosen range, in the selected temperament
+  //    (steps are semitones unless a Scala scale has another size). The
+  //    distance columns are for the melody string; where the temperament is not
+  //    equal, the other strings stop at slightly different places.
+  const tempered = (getTemperamentKey() !== 'equal');
+  const melody = getMelodyString(stringData);
+  const steps = readHandRange();
+  const stepName = (getStepsPerOctave() === 12) ? 'Semitone' : 'Step';
+  const melodyPositions = calcHandPositions(scaleLength, melody, steps);
+  const stringPositions = reversedStrings.map(sd => calcHandPositions(scaleLength, sd, steps));
+
+  const span = calcWindowSpan(scaleLength);
+  const minWindowLength = calcMinimalWindowLength(stringPositions, span);
+
+  // Back-of-finger compensation for the melody string, in the first material shown
+  const finger = readFingerCompensation();
+  const fingerMaterial = materials[materialKeys[0]];
+  const compensated = (finger && fingerMaterial)
+    ? melodyPositions.map(p => calcCompensatedStop(scaleMm, melodyPositions[0].freq, p.freq, finger, fingerMaterial))
+    : null;
+
+  // Optional playing map on the front view: each string's stops, labelled by note
+  const showMarkers = document.getElementById('showHandPositions');
+  const markers = (showMarkers && showMarkers.checked)
+    ? stringPositions.map(positions => positions.slice(1).map(p => ({
+        distMm: p.distFromNut * 10,
+        label: midiToNoteName(p.midi, useFlats)
+      })))
+    : null;
+
+  // 3) Build the critical dimensions table
   const numStrings = reversedStrings.length; 
-  buildCriticalDimensionsTable(scaleLength, numStrings);
+  const designWarnings = buildCriticalDimensionsTable(scaleLength, numStrings, {
+    steps: steps,
+    stepName: stepName,
+    minWindowLength: minWindowLength,
+    markers: markers
+  }, {
+    root: melody,
+    useFlats: useFlats,
+    airTarget: readAirTarget(melody, useFlats),
+    wood: getSoundboardWood()
+  });
+  if (designWarnings.length > 0) {
+    UIkit.notification({
+      message: designWarnings.map(escapeHtml).join('<br>'),
+      status: 'warning',
+      timeout: 8000
+    });
+  }
 
-  // 3) Build the single-octave scale table (0..12)
+  // 4) Build the hand-position table, checking each stop against the window
   const noteDistanceDiv = document.getElementById('noteDistanceTable');
   noteDistanceDiv.innerHTML = '';
 
-  let tableHtml = `<h3>Single-Octave Scale (0–12 Semitones) - Hand positions in CM from pegs</h3>`;
+  const positionClasses = { ok: '', headstock: 'uk-text-warning', window: 'uk-text-warning', bridge: 'uk-text-danger' };
+  const positionLabels = { ok: 'In window', headstock: 'Above window ⚠', window: 'Past window end ⚠', bridge: 'Too close to bridge ⚠' };
+  const checkPosition = p => checkHandPosition(p.distFromNut * 10, scaleMm, span);
+
+  let tableHtml = `<h3>Hand Positions (0–${steps} ${stepName}s) - Distances in CM from pegs</h3>`;
+  if (tempered) {
+    const anchor = isMappedScale() ? 'mapped by the .kbm file' : `tuned against ${melody.noteName}`;
+    tableHtml += `<p class="uk-text-small uk-text-muted">${escapeHtml(getTemperamentName())}, ${anchor}. Cents are the deviation from equal temperament.</p>`;
+  }
+  if (compensated) {
+    tableHtml += `<p class="uk-text-small uk-text-muted">Compensated: where to centre the finger on the ${melody.noteName} string (${escapeHtml(fingerMaterial.name)}) when stopping with the back of the finger - ${finger.contactWidthMm} mm contact, ${finger.deflectionMm} mm deflection. Sharp: how far off the note is with the finger centred on the ideal position.</p>`;
+  }
   tableHtml += `<table class="uk-table uk-table-striped">
     <thead>
       <tr>
-        <th>Semitone</th>`;
+        <th>${stepName}</th>`;
 
   reversedStrings.forEach((sd, i) => {
     tableHtml += `<th>String ${i+1} (${sd.noteName})</th>`;
   });
-  tableHtml += `<th>Distance from Nut (cm)</th>
+  tableHtml += `<th>Distance from Nut (cm)${tempered ? ` - ${melody.noteName} string` : ''}</th>
+                ${compensated ? '<th>Compensated (cm)</th>' : ''}
                 <th>Distance from Prev (cm)</th>
+                <th>Cents vs ET</th>
+                <th>Window</th>
               </tr>
     </thead>
     <tbody>`;
 
-  let prevDist = 0;
-  for (let n = 0; n <= 12; n++) {
-    const distFromNut = scaleLength * (1 - 1/Math.pow(2, n/12));
-    const distFromPrev = (n === 0) ? 0 : (distFromNut - prevDist);
-    prevDist = distFromNut;
-
-    let rowHtml = `<tr><td>${n}</td>`;
-    reversedStrings.forEach(sd => {
-      const freq = sd.freq * Math.pow(2, n/12);
-      const label = getSemitoneLabel(freq);
-      rowHtml += `<td>${label}</td>`;
+  const problems = { headstock: [], window: [], bridge: [] };
+  for (let n = 0; n <= steps; n++) {
+    const pos = melodyPositions[n];
+    const distFromPrev = (n === 0) ? 0 : (pos.distFromNut - melodyPositions[n-1].distFromNut);
+    // The open string needs no stop
+    const status = (n === 0) ? 'ok' : checkPosition(pos);
+    if (status !== 'ok') problems[status].push(n);
+
+    // The row's preview: the melody string stopped here, over the other strings
+    const rowFreqs = [pos.freq].concat(reversedStrings.filter(sd => sd !== melody).map(sd => sd.freq));
+    const rowLabel = `${stepName} ${n} ${midiToNoteName(pos.midi, useFlats)} with drones`;
+    let rowHtml = `<tr class="${positionClasses[status]}"><td>${n} ${previewButtonHtml('', rowFreqs, PREVIEW_NOTE_SECONDS, rowLabel)}</td>`;
+    stringPositions.forEach((positions, i) => {
+      const p = positions[n];
+      let cell = midiToNoteName(p.midi, useFlats);
+      // The melody string's cents and distances are in the last columns
+      if (tempered && reversedStrings[i] !== melody) {
+        const cls = (n > 0) ? positionClasses[checkPosition(p)] : '';
+        cell += ` <span class="${cls || 'uk-text-muted'}">${formatCents(p.cents)}${n > 0 ? `, ${p.distFromNut.toFixed(2)} cm` : ''}</span>`;
+      }
+      rowHtml += `<td>${cell}</td>`;
     });
 
-    rowHtml += `<td>${distFromNut.toFixed(2)}</td>`;
-    rowHtml += `<td>${distFromPrev.toFixed(2)}</td></tr>`;
+    rowHtml += `<td>${pos.distFromNut.toFixed(2)}</td>`;
+    if (compensated) {
+      const c = compensated[n];
+      if (n === 0) {
+        rowHtml += `<td>–</td>`;
+      } else if (c.distMm === null) {
+        rowHtml += `<td class="uk-text-warning">Too close to the nut ⚠ <span class="uk-text-muted">(${formatCents(c.sharpCents)} sharp)</span></td>`;
+      } else {
+        rowHtml += `<td>${(c.distMm / 10).toFixed(2)} <span class="uk-text-muted">(${(c.distMm - pos.distFromNut * 10).toFixed(1)} mm, ${formatCents(c.sharpCents)} sharp)</span></td>`;
+      }
+    }
+    rowHtml += `<td>${distFromPrev.toFixed(2)}</td>`;
+    rowHtml += `<td>${formatCents(pos.cents)}</td>`;
+    rowHtml += `<td>${n === 0 ? 'Open' : positionLabels[status]}</td></tr>`;
     tableHtml += rowHtml;
   }
 
   tableHtml += `</tbody></table>`;
+
+  // Window fit summary and the shortest window for the chosen range
+  let summary = `The window runs from ${span.start.toFixed(0)} to ${span.end.toFixed(0)} mm from the pegs (C = ${span.length.toFixed(0)} mm). `;
+  summary += `The minimal window for 0–${steps} ${stepName.toLowerCase()}s is C = ${Math.ceil(minWindowLength)} mm`;
+  summary += (minWindowLength > span.length)
+    ? ` - ${Math.ceil(minWindowLength - span.length)} mm longer than the drawn window.`
+    : ` - ${Math.floor(span.length - minWindowLength)} mm could be taken off for a traditional design.`;
+  const problemText = {
+    headstock: 'above the window, under the headstock',
+    window: 'past the end of the open window',
+    bridge: `within ${MIN_BRIDGE_CLEARANCE_MM} mm of the bridge, too close to play`
+  };
+  const notes = Object.keys(problems)
+    .filter(key => problems[key].length > 0)
+    .map(key => `${stepName}${problems[key].length > 1 ? 's' : ''} ${problems[key].join(', ')}: ${problemText[key]}.`);
+  tableHtml += (notes.length > 0)
+    ? `<div class="uk-alert-warning" uk-alert><p>${summary}</p><p>${notes.join('<br>')}</p></div>`
+    : `<p class="uk-text-small">${summary}</p>`;
+
   noteDistanceDiv.innerHTML = tableHtml;
+
+  // Keep the melody-string stops for the printable ruler
+  lastRulerConfig = {
+    title: `${melody.noteName} string, ${scaleLength} cm scale`,
+    positions: melodyPositions.map(p => ({
+      step: p.step,
+      distMm: p.distFromNut * 10,
+      label: midiToNoteName(p.midi, useFlats)
+    })),
+    windowStart: span.start,
+    windowEnd: span.end
+  };
+  document.getElementById('rulerButtons').hidden = false;
 }
 
 /**
  * On page load, set up event listeners & default pattern list for 3 strings.
  */
 window.addEventListener('DOMContentLoaded', () => {
-  // 1) Populate pattern dropdown for 3 strings by default
+  // 1) Populate pattern dropdown (and custom note pickers) for 3 strings by default
   populatePatternDropdown();
+  updateCustomTuningPickers();
+  readTemperament();
 
   // 2) Listen for changes
   document.getElementById('scaleLength').addEventListener('change', updateRecommendedTunings);
 
   document.getElementById('numStrings').addEventListener('change', () => {
     populatePatternDropdown();
+    updateCustomTuningPickers();
     updateRecommendedTunings();
   });
 
   document.getElementById('pattern').addEventListener('change', updateRecommendedTunings);
+  document.getElementById('customPattern').addEventListener('input', updatePatternPreview);
+  document.getElementById('customPattern').addEventListener('change', updateRecommendedTunings);
+
+  document.getElementById('referencePitch').addEventListener('change', updateRecommendedTunings);
+
+  // Drones and stopped notes are retuned against the root in the new temperament
+  const handleTemperamentChange = () => {
+    readTemperament();
+    updateRecommendedTunings();
+    updateCustomTuning();
+  };
+  document.getElementById('temperament').addEventListener('change', handleTemperamentChange);
+  document.getElementById('customCents').addEventListener('change', handleTemperamentChange);
+
+  document.getElementById('finalTuning').addEventListener('change', () => {
+    updateTargetTensionInputs();
+    renderTuningDetails();
+  });
+  document.getElementById('stringFeel').addEventListener('change', () => {
+    updateTargetTensionInputs();
+    renderTuningDetails();
+  });
+  document.getElementById('stringTargets').addEventListener('input', (e) => {
+    // A typed tension is kept when the feel or the tuning changes; a cleared
+    // one is refilled from the feel preset
+    if (e.target.value === '') {
+      e.target.removeAttribute('data-edited');
+    } else {
+      e.target.setAttribute('data-edited', '');
+    }
+  });
+  document.getElementById('stringTargets').addEventListener('change', renderTuningDetails);
+
+  document.getElementById('customTuning').addEventListener('change', () => {
+    updateCustomTuningPickers();
+    updateCustomTuning();
+  });
+  document.getElementById('customTuningPickers').addEventListener('change', handleCustomNotePicked);
+
+  // Redraw straight away if a design has already been calculated
+  ['showHandPositions', 'fingerWidth', 'stringDeflection', 'airTarget', 'airTargetHz', 'soundboardWood'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      if (document.querySelectorAll('#stringTable tbody tr').length > 0) {
+        calculateStrings();
+      }
+    });
+  });
+
+  document.getElementById('rulerSvgBtn').addEventListener('click', handleRulerSvgExport);
+  document.getElementById('rulerPdfBtn').addEventListener('click', handleRulerPdfExport);
 
   // 3) "Calculate" builds final tables
   document.getElementById('calculateBtn').addEventListener('click', calculateStrings);
@@ -0,0 +1,287 @@
+/* materials.js */
+
+/**
+ * String material library.
+ *
+ * Each material has:
+ *  - name
+ *  - density: kg/m³
+ *  - tensileStrength: breaking stress in MPa (N/mm²)
+ *  - strandDiameterMm: diameter of one strand for multi-strand materials,
+ *    null for single strings that are solved by overall diameter
+ *  - typicalDiametersMm: [min, max] diameter (strand diameter for multi-strand)
+ *  - modulusGPa: elastic (Young's) modulus, for the finger-stop stretch; optional,
+ *    custom materials use DEFAULT_STRING_MODULUS_GPA
+ *
+ * Built-in materials can be hidden but not edited. Custom materials and the
+ * chosen table columns are kept in localStorage.
+ */
+const DEFAULT_STRING_MATERIALS = {
+  gut:          { name: 'Gut',                   density: 1300, tensileStrength: 350, strandDiameterMm: null, typicalDiametersMm: [0.5, 1.6], modulusGPa: 5 },
+  horsehair:    { name: 'Horse Hair',            density: 1300, tensileStrength: 200, strandDiameterMm: 0.18, typicalDiametersMm: [0.15, 0.22], modulusGPa: 4 },
+  dacron:       { name: 'Dacron / B-50',         density: 1380, tensileStrength: 700, strandDiameterMm: 0.25, typicalDiametersMm: [0.2, 0.3], modulusGPa: 12 },
+  nylon:        { name: 'Nylon',                 density: 1140, tensileStrength: 650, strandDiameterMm: null, typicalDiametersMm: [0.5, 1.8], modulusGPa: 3 },
+  fluorocarbon: { name: 'Fluorocarbon',          density: 1780, tensileStrength: 350, strandDiameterMm: null, typicalDiametersMm: [0.4, 1.4], modulusGPa: 2.5 },
+  silk:         { name: 'Silk',                  density: 1340, tensileStrength: 450, strandDiameterMm: null, typicalDiametersMm: [0.5, 1.5], modulusGPa: 8 },
+  wound:        { name: 'Wound (metal on core)', density: 3500, tensileStrength: 600, strandDiameterMm: null, typicalDiametersMm: [0.8, 2.0], modulusGPa: 10 }
+};
+
+/** Columns shown when nothing has been saved yet. */
+const DEFAULT_MATERIAL_COLUMNS = ['gut', 'horsehair', 'dacron', 'nylon', 'fluorocarbon'];
+
+const CUSTOM_MATERIALS_STORAGE_KEY = 'lyreCalculator.customMaterials';
+const MATERIAL_COLUMNS_STORAGE_KEY = 'lyreCalculator.materialColumns';
+
+/**
+ * Escape user-entered text before putting it into table HTML.
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Read a JSON value from localStorage, falling back if it is missing or corrupt
+ * (or storage is not available, e.g. in some private browsing modes).
+ */
+function readStoredJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch(e) {
+    return fallback;
+  }
+}
+
+function writeStoredJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch(e) {
+    console.warn(`Could not save ${key} to localStorage.`, e);
+  }
+}
+
+/**
+ * The user's own materials. Stored entries that fail validation (edited by
+ * hand, or saved by an older version) are dropped from storage with a warning
+ * rather than breaking the string table.
+ */
+function loadCustomMaterials() {
+  const stored = readStoredJson(CUSTOM_MATERIALS_STORAGE_KEY, {});
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return {};
+
+  const custom = {};
+  const dropped = [];
+  Object.keys(stored).forEach(key => {
+    if (validateMaterial(stored[key]).length === 0) {
+      custom[key] = stored[key];
+    } else {
+      dropped.push((stored[key] && typeof stored[key].name === 'string' && stored[key].name) || key);
+    }
+  });
+
+  if (dropped.length > 0) {
+    writeStoredJson(CUSTOM_MATERIALS_STORAGE_KEY, custom);
+    console.warn('Dropped invalid custom materials:', dropped);
+    UIkit.notification({
+      message: escapeHtml(`Removed invalid saved materials: ${dropped.join(', ')}.`),
+      status: 'warning'
+    });
+  }
+  return custom;
+}
+
+/**
+ * All materials: the built-in library plus the user's own entries.
+ */
+function getStringMaterials() {
+  return Object.assign({}, DEFAULT_STRING_MATERIALS, loadCustomMaterials());
+}
+
+/**
+ * Check a material entry, returning a list of problems (empty if valid).
+ */
+function validateMaterial(material) {
+  if (!material || typeof material !== 'object') {
+    return ['a material entry'];
+  }
+  const errors = [];
+  if (typeof material.name !== 'string' || !material.name.trim()) {
+    errors.push('a name');
+  }
+  if (!(material.density > 0)) {
+    errors.push('a density above 0 kg/m³');
+  }
+  if (!(material.tensileStrength > 0)) {
+    errors.push('a tensile strength above 0 MPa');
+  }
+  if (material.strandDiameterMm !== null && !(material.strandDiameterMm > 0)) {
+    errors.push('a strand diameter above 0 mm (or leave it empty for single strings)');
+  }
+  if (material.typicalDiametersMm) {
+    const [min, max] = Array.isArray(material.typicalDiametersMm) ? material.typicalDiametersMm : [];
+    if (!(min > 0) || !(max > 0)) {
+      errors.push('typical min. and max. diameters above 0 mm (or leave both empty)');
+    } else if (min > max) {
+      errors.push('a typical min. diameter no larger than the max.');
+    }
+  }
+  return errors;
+}
+
+/**
+ * Add a custom material and show it in the string table.
+ * Returns the key it was saved under.
+ */
+function addCustomMaterial(material) {
+  const custom = loadCustomMaterials();
+  const base = 'custom-' + material.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  let key = base;
+  let n = 2;
+  while (custom[key] || DEFAULT_STRING_MATERIALS[key]) {
+    key = `${base}-${n++}`;
+  }
+
+  custom[key] = material;
+  writeStoredJson(CUSTOM_MATERIALS_STORAGE_KEY, custom);
+  setSelectedMaterialKeys([...getSelectedMaterialKeys(), key]);
+  return key;
+}
+
+function removeCustomMaterial(key) {
+  const custom = loadCustomMaterials();
+  delete custom[key];
+  writeStoredJson(CUSTOM_MATERIALS_STORAGE_KEY, custom);
+  setSelectedMaterialKeys(getSelectedMaterialKeys().filter(k => k !== key));
+}
+
+/**
+ * Keys of the materials shown as columns in the string table (and the PDF).
+ */
+function getSelectedMaterialKeys() {
+  const materials = getStringMaterials();
+  const stored = readStoredJson(MATERIAL_COLUMNS_STORAGE_KEY, DEFAULT_MATERIAL_COLUMNS);
+  const keys = Array.isArray(stored) ? stored : DEFAULT_MATERIAL_COLUMNS;
+  return keys.filter(k => materials[k]);
+}
+
+function setSelectedMaterialKeys(keys) {
+  writeStoredJson(MATERIAL_COLUMNS_STORAGE_KEY, keys);
+}
+
+/**
+ * Fill the material library modal: one row per material with a "show" checkbox,
+ * the material data and a remove button for custom entries.
+ */
+function renderMaterialLibrary() {
+  const tbody = document.querySelector('#materialLibraryTable tbody');
+  if (!tbody) return;
+
+  const materials = getStringMaterials();
+  const selected = getSelectedMaterialKeys();
+  tbody.innerHTML = '';
+
+  Object.keys(materials).forEach(key => {
+    const m = materials[key];
+    const typical = Array.isArray(m.typicalDiametersMm) && m.typicalDiametersMm.length === 2
+      ? `${m.typicalDiametersMm[0]}–${m.typicalDiametersMm[1]}`
+      : '–';
+    const removeBtn = DEFAULT_STRING_MATERIALS[key]
+      ? ''
+      : `<button type="button" class="uk-icon-link" uk-icon="trash" data-remove-material="${escapeHtml(key)}" aria-label="Remove"></button>`;
+
+    tbody.innerHTML += `<tr>
+      <td><input type="checkbox" class="uk-checkbox" data-material-column="${escapeHtml(key)}" ${selected.includes(key) ? 'checked' : ''} /></td>
+      <td>${escapeHtml(m.name)}</td>
+      <td>${m.density}</td>
+      <td>${m.tensileStrength}</td>
+      <td>${m.strandDiameterMm ? m.strandDiameterMm + ' mm strands' : 'Single'}</td>
+      <td>${typical}</td>
+      <td>${removeBtn}</td>
+    </tr>`;
+  });
+}
+
+/**
+ * Rebuild the string table if a design has already been calculated, so column
+ * changes show straight away.
+ */
+function refreshStringTableColumns() {
+  const rows = document.querySelectorAll('#stringTable tbody tr');
+  if (rows.length > 0) {
+    calculateStrings();
+  }
+}
+
+/**
+ * Read the "add material" form in the modal and save it.
+ */
+function handleAddMaterial() {
+  const value = id => document.getElementById(id).value.trim();
+  const strandRaw = value('newMaterialStrand');
+  const minRaw = value('newMaterialMinDia');
+  const maxRaw = value('newMaterialMaxDia');
+
+  const material = {
+    name: value('newMaterialName'),
+    density: parseFloat(value('newMaterialDensity')),
+    tensileStrength: parseFloat(value('newMaterialStrength')),
+    strandDiameterMm: strandRaw === '' ? null : parseFloat(strandRaw),
+    typicalDiametersMm: (minRaw !== '' || maxRaw !== '') ? [parseFloat(minRaw), parseFloat(maxRaw)] : null
+  };
+
+  const errors = validateMaterial(material);
+  if (errors.length > 0) {
+    UIkit.notification({
+      message: `Please enter ${errors.join(', ')}.`,
+      status: 'warning'
+    });
+    return;
+  }
+
+  addCustomMaterial(material);
+  document.getElementById('addMaterialForm').reset();
+  renderMaterialLibrary();
+  refreshStringTableColumns();
+}
+
+document.addEventListener("DOMContentLoaded", function() {
+  const table = document.getElementById('materialLibraryTable');
+  if (!table) return;
+
+  renderMaterialLibrary();
+
+  table.addEventListener('change', (e) => {
+    const key = e.target.getAttribute('data-material-column');
+    if (!key) return;
+    const keys = getSelectedMaterialKeys().filter(k => k !== key);
+    if (e.target.checked) keys.push(key);
+    // Feasibility is judged against the shown materials, so keep at least one
+    if (keys.length === 0) {
+      e.target.checked = true;
+      UIkit.notification({
+        message: 'Keep at least one string material shown.',
+        status: 'warning'
+      });
+      return;
+    }
+    // Keep the library order so the columns don't jump around
+    const order = Object.keys(getStringMaterials());
+    setSelectedMaterialKeys(keys.sort((a, b) => order.indexOf(a) - order.indexOf(b)));
+    refreshStringTableColumns();
+  });
+
+  table.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-remove-material]');
+    if (!btn) return;
+    removeCustomMaterial(btn.getAttribute('data-remove-material'));
+    renderMaterialLibrary();
+    refreshStringTableColumns();
+  });
+
+  document.getElementById('addMaterialBtn').addEventListener('click', handleAddMaterial);
+});
@@ -0,0 +1,217 @@
+/* musicxml.js */
+
+/**
+ * MusicXML reader for tune analysis, for uncompressed .musicxml/.xml files and
+ * compressed .mxl files (a zip holding the score, as saved by MuseScore).
+ *
+ * The melody line is the first voice of the first part: chord notes, grace
+ * notes, rests and other voices are skipped, tied notes are joined, and
+ * transposing instruments are read at sounding pitch. The result has the same
+ * shape as parseAbcTune, so it feeds the same playability checks.
+ */
+
+/** Semitones above C of each MusicXML <step>. */
+const MUSICXML_STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/** Major keys by number of fifths (-7..7), with their relative minors. */
+const MUSICXML_MAJOR_KEYS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const MUSICXML_MINOR_KEYS = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+
+/** Text of the first matching child element, or ''. */
+function musicXmlText(parent, selector) {
+  const el = parent.querySelector(selector);
+  return el ? el.textContent.trim() : '';
+}
+
+/** Key name from a <key> element: <fifths> and an optional <mode>. */
+function musicXmlKeyName(keyEl) {
+  const fifths = parseInt(musicXmlText(keyEl, 'fifths'), 10);
+  if (isNaN(fifths) || fifths < -7 || fifths > 7) return '';
+  return (musicXmlText(keyEl, 'mode') === 'minor')
+    ? `${MUSICXML_MINOR_KEYS[fifths + 7]}m`
+    : MUSICXML_MAJOR_KEYS[fifths + 7];
+}
+
+/**
+ * Read the melody line of a MusicXML score (partwise).
+ * Returns { tune, errors } like parseAbcTune, with source 'MusicXML'.
+ */
+function parseMusicXml(text) {
+  const errors = [];
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) {
+    return { tune: null, errors: ['The file is not valid XML'] };
+  }
+  if (doc.querySelector('score-timewise')) {
+    return { tune: null, errors: ['Timewise MusicXML is not supported - export the score as partwise (the usual format)'] };
+  }
+  const part = doc.querySelector('score-partwise > part');
+  if (!part) {
+    return { tune: null, errors: ['No parts found in the score'] };
+  }
+
+  const title = musicXmlText(doc, 'work > work-title') || musicXmlText(doc, 'movement-title') || 'Untitled';
+  const notes = [];
+  let divisions = 1;
+  let transpose = 0;
+  let keyName = '';
+  let useFlats = false;
+  let voice = null;
+
+  part.querySelectorAll(':scope > measure').forEach((measure, bar) => {
+    [...measure.children].forEach(el => {
+      if (el.tagName === 'attributes') {
+        const div = parseInt(musicXmlText(el, 'divisions'), 10);
+        if (div > 0) divisions = div;
+        const keyEl = el.querySelector('key');
+        if (keyEl && keyName === '') {
+          keyName = musicXmlKeyName(keyEl);
+          useFlats = parseInt(musicXmlText(keyEl, 'fifths'), 10) < 0;
+        }
+        const transposeEl = el.querySelector('transpose');
+        if (transposeEl) {
+          transpose = (parseInt(musicXmlText(transposeEl, 'chromatic'), 10) || 0) +
+            12 * (parseInt(musicXmlText(transposeEl, 'octave-change'), 10) || 0);
+        }
+        return;
+      }
+      if (el.tagName !== 'note') return;
+
+      // The melody is the first voice heard; chords give their first note
+      const noteVoice = musicXmlText(el, 'voice') || '1';
+      if (voice === null && el.querySelector('pitch')) voice = noteVoice;
+      if (noteVoice !== voice) return;
+      if (el.querySelector('chord') || el.querySelector('grace') || el.querySelector('rest')) return;
+
+      const pitch = el.querySelector('pitch');
+      if (!pitch) return;
+      const step = musicXmlText(pitch, 'step');
+      const octave = parseInt(musicXmlText(pitch, 'octave'), 10);
+      const alter = Math.round(parseFloat(musicXmlText(pitch, 'alter')) || 0);
+      if (!(step in MUSICXML_STEP_SEMITONES) || isNaN(octave)) {
+        errors.push(`Measure ${bar + 1}: a note without a readable pitch was skipped`);
+        return;
+      }
+
+      const midi = 12 * (octave + 1) + MUSICXML_STEP_SEMITONES[step] + alter + transpose;
+      const duration = (parseInt(musicXmlText(el, 'duration'), 10) || 0) / (4 * divisions);
+      const tieStop = [...el.querySelectorAll('tie')].some(t => t.getAttribute('type') === 'stop');
+      const last = notes[notes.length - 1];
+
+      if (tieStop && last && last.midi === midi) {
+        last.duration += duration;
+      } else if (midi < MIN_MIDI_NOTE || midi > MAX_MIDI_NOTE) {
+        errors.push(`Measure ${bar + 1}: ${step}${octave} is outside C0..C8 and was skipped`);
+      } else {
+        notes.push({ midi: midi, duration: duration, bar: bar });
+      }
+    });
+  });
+
+  if (notes.length === 0) {
+    errors.push('The first part has no notes');
+    return { tune: null, errors: errors };
+  }
+  return {
+    tune: { title: title, key: keyName, useFlats: useFlats, notes: notes, source: 'MusicXML' },
+    errors: errors
+  };
+}
+
+/**
+ * The entries of a zip archive (an ArrayBuffer), read from its central
+ * directory. Stored and deflated entries are supported.
+ * Returns a map of entry name => async () => text.
+ */
+function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  // The end-of-central-directory record is in the last 64KB (plus its 22 bytes)
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('not a zip archive');
+
+  const entries = {};
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(pos, true) !== 0x02014b50) throw new Error('damaged zip directory');
+    const method = view.getUint16(pos + 10, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const localHeader = view.getUint32(pos + 42, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+    entries[name] = async () => {
+      const dataStart = localHeader + 30 + view.getUint16(localHeader + 26, true) + view.getUint16(localHeader + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return decoder.decode(data);
+      if (method !== 8) throw new Error(`unsupported zip compression (method ${method})`);
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Response(stream).text();
+    };
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * The score inside a compressed .mxl file: the root file named in
+ * META-INF/container.xml, else the first .musicxml/.xml file outside META-INF.
+ */
+async function readMxlScore(buffer) {
+  const entries = readZipEntries(buffer);
+  let scoreName = null;
+
+  if (entries['META-INF/container.xml']) {
+    const container = new DOMParser().parseFromString(await entries['META-INF/container.xml'](), 'application/xml');
+    const rootfile = container.querySelector('rootfile');
+    if (rootfile) scoreName = rootfile.getAttribute('full-path');
+  }
+  if (!scoreName || !entries[scoreName]) {
+    scoreName = Object.keys(entries).find(name => !name.startsWith('META-INF/') && /\.(musicxml|xml)$/i.test(name));
+  }
+  if (!scoreName) throw new Error('no score found in the archive');
+  return entries[scoreName]();
+}
+
+/**
+ * Load a .musicxml/.xml or .mxl file into the tune checker.
+ */
+async function handleMusicXmlImport(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  let parsed;
+  try {
+    const text = /\.mxl$/i.test(file.name)
+      ? await readMxlScore(await file.arrayBuffer())
+      : await file.text();
+    parsed = parseMusicXml(text);
+  } catch (err) {
+    parsed = { tune: null, errors: [`could not be read (${err.message})`] };
+  }
+
+  if (!parsed.tune) {
+    UIkit.notification({
+      message: escapeHtml(`${file.name}: ${parsed.errors.join('; ')}`),
+      status: 'warning'
+    });
+    return;
+  }
+  setCurrentTune(parsed.tune);
+  renderTuneReport(parsed.errors.map(err => `${file.name}: ${err}`));
+}
+
+document.addEventListener("DOMContentLoaded", function() {
+  const input = document.getElementById('musicXmlFile');
+  if (!input) return;
+  input.addEventListener('change', handleMusicXmlImport);
+});
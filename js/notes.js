@@ -0,0 +1,238 @@
+/* notes.js */
+
+/**
+ * Chromatic pitch model.
+ *
+ * Every pitch is handled as a MIDI note number (A4 = 69, C4 = 60) and converted
+ * to a frequency against a configurable A4 reference (440, 432, 415 for baroque...).
+ * Note names are spelled with sharps or flats depending on the key (root) of the tuning.
+ */
+const noteNames = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'];
+const flatNoteNames = ['C','Db','D','Eb','E','F','Gb','G','Ab','A','Bb','B'];
+
+/**
+ * Which pitch classes are spelled with flats when used as a root, following the
+ * usual major key signatures: F, Bb, Eb, Ab, Db use flats, the rest use sharps.
+ */
+const rootPrefersFlats = [false, true, false, true, false, true, false, false, true, false, true, false];
+
+/** Lowest and highest notes in the model: C0..C8. */
+const MIN_MIDI_NOTE = 12;
+const MAX_MIDI_NOTE = 108;
+
+/** Accepted range for the A4 reference pitch (Hz). */
+const MIN_REFERENCE_PITCH = 380;
+const MAX_REFERENCE_PITCH = 480;
+
+let referencePitch = 440;
+
+/**
+ * Set the A4 reference pitch used by every frequency calculation.
+ * Returns false (and keeps the old value) if the pitch is out of range.
+ */
+function setReferencePitch(hz) {
+  if (isNaN(hz) || hz < MIN_REFERENCE_PITCH || hz > MAX_REFERENCE_PITCH) {
+    return false;
+  }
+  referencePitch = hz;
+  return true;
+}
+
+function getReferencePitch() {
+  return referencePitch;
+}
+
+/**
+ * Frequency (Hz) of a MIDI note number, relative to the current A4 reference.
+ */
+function midiToFrequency(midi) {
+  return referencePitch * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Fractional MIDI note number for a frequency (69.5 = a quarter tone above A4).
+ */
+function frequencyToMidi(freq) {
+  return 69 + 12 * Math.log2(freq / referencePitch);
+}
+
+/**
+ * Spell a MIDI note number, e.g. 66 => "F#4" (or "Gb4" when useFlats is true).
+ */
+function midiToNoteName(midi, useFlats) {
+  const names = useFlats ? flatNoteNames : noteNames;
+  const pc = ((midi % 12) + 12) % 12;
+  const octave = Math.floor(midi / 12) - 1;
+  return names[pc] + octave;
+}
+
+/**
+ * Spell a pitch class without an octave, e.g. 10 => "A#" (or "Bb").
+ */
+function pitchClassName(pc, useFlats) {
+  const names = useFlats ? flatNoteNames : noteNames;
+  return names[((pc % 12) + 12) % 12];
+}
+
+/**
+ * Parse a note name such as "F#3", "Bb2", "c4" or "E" into a MIDI note number.
+ * When the octave is omitted, defaultOctave is used (4 if not given).
+ * Returns null if the text is not a note name.
+ */
+function parseNoteName(text, defaultOctave) {
+  const match = /^\s*([A-Ga-g])([#b]*)(-?\d+)?\s*$/.exec(text || '');
+  if (!match) return null;
+
+  const letter = match[1].toUpperCase();
+  let pc = noteNames.indexOf(letter);
+  for (const acc of match[2]) {
+    pc += (acc === '#') ? 1 : -1;
+  }
+  const octave = (match[3] !== undefined)
+    ? parseInt(match[3], 10)
+    : (defaultOctave !== undefined ? defaultOctave : 4);
+
+  return (octave + 1) * 12 + pc;
+}
+
+/**
+ * Whether the key built on this root should be spelled with flats.
+ */
+function keyUsesFlats(rootMidi) {
+  return rootPrefersFlats[((rootMidi % 12) + 12) % 12];
+}
+
+/**
+ * Name of the nearest chromatic note to a frequency, spelled for the given key.
+ */
+function getNearestNoteName(freq, useFlats) {
+  return midiToNoteName(Math.round(frequencyToMidi(freq)), useFlats);
+}
+
+/**
+ * Common modes for drone-based folk music, as semitone steps from the tonic.
+ */
+const MODES = {
+  'major (Ionian)':   [0, 2, 4, 5, 7, 9, 11],
+  'Mixolydian':       [0, 2, 4, 5, 7, 9, 10],
+  'Dorian':           [0, 2, 3, 5, 7, 9, 10],
+  'minor (Aeolian)':  [0, 2, 3, 5, 7, 8, 10],
+  'Phrygian':         [0, 1, 3, 5, 7, 8, 10]
+};
+
+/**
+ * Keys/modes a set of open strings can drone for: every mode whose scale holds
+ * all the string pitch classes, with its tonic on one of the strings.
+ * Returns [{ tonic, mode, degrees }] where degrees are the scale degrees the
+ * strings sound (e.g. "1, 5"), tonics in the order the strings are given.
+ */
+function findSupportedModes(midiNotes, useFlats) {
+  const pcs = [...new Set(midiNotes.map(m => ((m % 12) + 12) % 12))];
+  const results = [];
+
+  pcs.forEach(tonicPc => {
+    Object.keys(MODES).forEach(mode => {
+      const steps = MODES[mode];
+      const degrees = [];
+      const fits = pcs.every(pc => {
+        const idx = steps.indexOf((pc - tonicPc + 12) % 12);
+        if (idx >= 0) degrees.push(idx + 1);
+        return idx >= 0;
+      });
+      if (fits) {
+        results.push({
+          tonic: pitchClassName(tonicPc, useFlats),
+          mode: mode,
+          degrees: degrees.sort((a, b) => a - b).join(', ')
+        });
+      }
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Interval names within one octave, by semitone.
+ */
+const INTERVAL_NAMES = ['P1','m2','M2','m3','M3','P4','TT','P5','m6','M6','m7','M7'];
+
+/** Semitones of each degree of the major scale (degree 1..7). */
+const MAJOR_SCALE_STEPS = [0, 2, 4, 5, 7, 9, 11];
+
+/**
+ * Semitones of a (possibly compound) scale degree of the major scale:
+ * 1 => 0, 5 => 7, 8 => 12, 9 => 14...
+ */
+function degreeToSemitones(degree) {
+  const idx = degree - 1;
+  return 12 * Math.floor(idx / 7) + MAJOR_SCALE_STEPS[idx % 7];
+}
+
+/**
+ * Parse one interval token into semitones from the root (melody) string:
+ *  - scale degrees with optional accidentals: 1, 2, b3, 4, #4, 5, b7, 8, 9...
+ *  - interval names: P1, m2, M2, m3, M3, P4, A4, TT, d5, P5, m6, M6, m7, M7, P8, M9...
+ *  - explicit semitones: +7 or 7st
+ *  - a leading "v" (or "↓") puts the string below the root: v5 => -7, v8 => -12
+ * Returns null if the token is not understood.
+ */
+function parseIntervalToken(token) {
+  const match = /^(v|↓)?(?:([b#]*)(\d+)|([PMmAd])(\d+)|(TT)|\+(\d+)|(\d+)st)$/.exec(token);
+  if (!match) return null;
+
+  const [, down, accidentals, degreeText, quality, qualityDegreeText, tritone, plusText, stText] = match;
+  let semis = null;
+
+  if (degreeText !== undefined) {
+    const degree = parseInt(degreeText, 10);
+    if (degree < 1) return null;
+    semis = degreeToSemitones(degree);
+    for (const acc of accidentals) {
+      semis += (acc === '#') ? 1 : -1;
+    }
+  } else if (quality !== undefined) {
+    const degree = parseInt(qualityDegreeText, 10);
+    if (degree < 1) return null;
+    // Unisons, 4ths, 5ths and octaves are "perfect"; the rest major/minor
+    const perfect = [0, 3, 4].includes((degree - 1) % 7);
+    const base = degreeToSemitones(degree);
+    if (quality === 'P') {
+      if (!perfect) return null;
+      semis = base;
+    } else if (quality === 'M') {
+      if (perfect) return null;
+      semis = base;
+    } else if (quality === 'm') {
+      if (perfect) return null;
+      semis = base - 1;
+    } else if (quality === 'A') {
+      semis = base + 1;
+    } else {
+      semis = base - (perfect ? 1 : 2);
+    }
+  } else if (tritone !== undefined) {
+    semis = 6;
+  } else {
+    semis = parseInt(plusText !== undefined ? plusText : stText, 10);
+  }
+
+  return down ? -semis : semis;
+}
+
+/**
+ * Name an interval in semitones, e.g. 7 => "P5", 19 => "P8+P5", -5 => "P4 below".
+ */
+function describeInterval(semitones) {
+  const abs = Math.abs(semitones);
+  const octaves = Math.floor(abs / 12);
+  const rest = abs % 12;
+
+  let name;
+  if (octaves === 0) {
+    name = INTERVAL_NAMES[rest];
+  } else {
+    name = (octaves === 1 ? 'P8' : `${octaves}×P8`) + (rest > 0 ? `+${INTERVAL_NAMES[rest]}` : '');
+  }
+  return semitones < 0 ? `${name} below` : name;
+}
@@ -49,16 +49,21 @@ function saveToPDF() {
   // Process each input and select field from the form
   const formElements = form.querySelectorAll('input, select');
   formElements.forEach(el => {
-    const row = document.createElement('tr');
+    // File pickers have nothing to record, and the custom tuning note pickers
+    // only repeat the custom tuning; the cents offsets matter only in use
+    if (el.type === 'file' || el.closest('#customTuningPickers')) return;
+    if (el.id === 'customCents' && getTemperamentKey() !== 'custom') return;
 
-    // Get label text if available
-    let labelText = '';
+    // Get label text if available, else the control's aria-label
+    let labelText = el.getAttribute('aria-label') || el.id;
     if (el.id) {
       const label = form.querySelector(`label[for="${el.id}"]`);
       if (label) {
         labelText = label.textContent.trim();
       }
     }
+
+    const row = document.createElement('tr');
     const cellLabel = document.createElement('td');
     cellLabel.textContent = labelText;
 
@@ -74,6 +79,8 @@ function saveToPDF() {
         // If parsing fails, leave the value as is.
       }
       cellValue.textContent = tuningValue;
+    } else if (el.type === 'checkbox') {
+      cellValue.textContent = el.checked ? 'Yes' : 'No';
     } else {
       cellValue.textContent = el.value;
     }
@@ -86,6 +93,20 @@ function saveToPDF() {
   tempTable.appendChild(tempTbody);
   tempContainer.appendChild(tempTable);
 
+  // Append the tablature of the checked tune, if there is one, on a new page
+  const tablatureSvg = getTablatureSvg();
+  if (tablatureSvg) {
+    const tabBreak = document.createElement('div');
+    tabBreak.classList.add('page-break');
+    tempContainer.appendChild(tabBreak);
+    const tabHeader = document.createElement('h3');
+    tabHeader.textContent = 'Tablature';
+    tempContainer.appendChild(tabHeader);
+    tablatureSvg.style.width = '100%';
+    tablatureSvg.style.height = 'auto';
+    tempContainer.appendChild(tablatureSvg);
+  }
+
   // Append the temporary container to the pdf-area
   const pdfArea = document.getElementById('pdf-area');
   pdfArea.appendChild(tempContainer);
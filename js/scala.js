@@ -0,0 +1,335 @@
+/* scala.js */
+
+/**
+ * Scala tuning files (https://www.huygens-fokker.org/scala/scl_format.html).
+ *
+ * A .scl file is a description line, the number of notes, then one pitch per
+ * note above the implied 1/1: a ratio ("3/2", "2") or cents (anything with a
+ * period, "701.955"). The last pitch is the period the scale repeats at.
+ * Lines starting with "!" are comments, and text after a pitch is ignored.
+ *
+ * A .kbm file maps the scale onto MIDI keys and pins it to a reference frequency.
+ * Only 12-key (or linear 12-note) mappings are used, to keep note names meaningful.
+ */
+
+/**
+ * Parse one Scala pitch into cents. Returns null if it is neither a ratio nor cents.
+ */
+function parseScalaPitch(text) {
+  if (text.includes('.')) {
+    if (!/^[-+]?\d*\.\d*$/.test(text) || text.replace(/[-+.]/g, '') === '') return null;
+    return parseFloat(text);
+  }
+  const match = /^(\d+)(?:\/(\d+))?$/.exec(text);
+  if (!match) return null;
+  const num = parseInt(match[1], 10);
+  const den = (match[2] !== undefined) ? parseInt(match[2], 10) : 1;
+  if (num <= 0 || den <= 0) return null;
+  return ratioToCents(num / den);
+}
+
+/**
+ * Lines of a Scala file without comments, with their line numbers.
+ */
+function scalaDataLines(text) {
+  return (text || '').split(/\r?\n/)
+    .map((line, idx) => ({ text: line.trim(), lineNumber: idx + 1 }))
+    .filter(line => !line.text.startsWith('!'));
+}
+
+/**
+ * Parse a .scl file. Returns { scale, errors }, scale being
+ * { description, cents, periodCents, pitches } (see temperaments.js) with
+ * pitches the pitch lines as written, for export.
+ */
+function parseScalaFile(text) {
+  const lines = scalaDataLines(text);
+  const errors = [];
+
+  if (lines.length < 2) {
+    return { scale: null, errors: ['The file needs a description line and a note count'] };
+  }
+
+  const description = lines[0].text;
+  const count = parseInt(lines[1].text.split(/\s+/)[0], 10);
+  if (isNaN(count) || count < 1) {
+    return { scale: null, errors: [`Line ${lines[1].lineNumber}: "${lines[1].text}" is not a note count`] };
+  }
+
+  const pitchLines = lines.slice(2).filter(line => line.text !== '').slice(0, count);
+  if (pitchLines.length < count) {
+    errors.push(`Expected ${count} pitches, found ${pitchLines.length}`);
+  }
+
+  const pitches = [];
+  const cents = [0];
+  pitchLines.forEach(line => {
+    const token = line.text.split(/\s+/)[0];
+    const value = parseScalaPitch(token);
+    if (value === null) {
+      errors.push(`Line ${line.lineNumber}: "${token}" is not a ratio or cents value`);
+    } else {
+      pitches.push(token);
+      cents.push(value);
+    }
+  });
+
+  const periodCents = cents.pop();
+  if (errors.length === 0 && !(periodCents > 0)) {
+    errors.push('The last pitch (the period the scale repeats at) must be above 1/1');
+  }
+  if (errors.length > 0) {
+    return { scale: null, errors: errors };
+  }
+
+  return {
+    scale: { description: description, cents: cents, periodCents: periodCents, pitches: pitches },
+    errors: []
+  };
+}
+
+/**
+ * Parse a .kbm keyboard mapping. Returns { mapping, errors }, mapping being
+ * { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency,
+ * octaveDegree, mapping } with unmapped keys ("x") as null.
+ */
+function parseKbmFile(text) {
+  const values = scalaDataLines(text)
+    .filter(line => line.text !== '')
+    .map(line => line.text.split(/\s+/)[0]);
+  const fields = ['size', 'firstNote', 'lastNote', 'middleNote', 'referenceNote', 'referenceFrequency', 'octaveDegree'];
+
+  if (values.length < fields.length) {
+    return { mapping: null, errors: ['The file needs the 7 header values (map size, first, last and middle note, reference note and frequency, octave degree)'] };
+  }
+
+  const mapping = { mapping: [] };
+  const errors = [];
+  fields.forEach((field, idx) => {
+    const value = Number(values[idx]);
+    if (isNaN(value) || value < 0 || (field !== 'referenceFrequency' && !Number.isInteger(value))) {
+      errors.push(`"${values[idx]}" is not a valid ${field}`);
+    }
+    mapping[field] = value;
+  });
+  if (!(mapping.referenceFrequency > 0)) {
+    errors.push('The reference frequency must be above 0 Hz');
+  }
+
+  // Missing entries at the end are left unmapped
+  for (let i = 0; i < mapping.size; i++) {
+    const entry = values[fields.length + i];
+    if (entry === undefined || entry.toLowerCase() === 'x') {
+      mapping.mapping.push(null);
+    } else if (/^\d+$/.test(entry)) {
+      mapping.mapping.push(parseInt(entry, 10));
+    } else {
+      errors.push(`"${entry}" is not a scale degree or x`);
+    }
+  }
+
+  return { mapping: errors.length > 0 ? null : mapping, errors: errors };
+}
+
+/**
+ * Check a keyboard mapping fits a scale. Returns a list of problems.
+ */
+function validateKbmForScale(mapping, scale) {
+  const errors = [];
+  if (mapping.size !== 12 && !(mapping.size === 0 && scale.cents.length === 12)) {
+    errors.push('Only mappings of 12 keys per octave (or linear mappings of 12-note scales) are supported');
+  }
+  if (mapping.mapping.some(degree => degree !== null && degree > scale.cents.length)) {
+    errors.push(`The mapping uses degrees beyond the ${scale.cents.length} of the scale`);
+  }
+  const refIdx = mapping.size > 0
+    ? (((mapping.referenceNote - mapping.middleNote) % mapping.size) + mapping.size) % mapping.size
+    : null;
+  if (refIdx !== null && mapping.mapping[refIdx] === null) {
+    errors.push('The reference note is not mapped');
+  }
+  return errors;
+}
+
+/**
+ * Scala pitch text for a number of cents, e.g. "701.95500".
+ */
+function formatScalaCents(cents) {
+  return cents.toFixed(5);
+}
+
+/**
+ * Write the current temperament as a .scl file, with the tuning in use (if any)
+ * in the comments. Ratio temperaments are written as ratios.
+ */
+function formatScalaFile(stringData) {
+  const key = getTemperamentKey();
+  let pitches;
+  if (key === 'scala') {
+    pitches = getScalaScale().pitches;
+  } else if (TEMPERAMENTS[key] && TEMPERAMENTS[key].ratios) {
+    pitches = TEMPERAMENTS[key].ratios.slice(1).concat(['2/1']);
+  } else {
+    pitches = getTemperamentCents().slice(1).map(formatScalaCents).concat(['2/1']);
+  }
+
+  const lines = ['! lyre-calculator.scl', '!'];
+  if (stringData && stringData.length > 0) {
+    const melody = getMelodyString(stringData);
+    lines.push(`! Tuning: ${stringData.map(sd => `${sd.noteName} (${sd.freq.toFixed(2)} Hz)`).join(', ')}`);
+    lines.push(`! Scale root: ${melody.noteName}, A4 = ${getReferencePitch()} Hz`);
+    lines.push('!');
+  }
+  lines.push(getTemperamentName());
+  lines.push(` ${pitches.length}`);
+  lines.push('!');
+  pitches.forEach(p => lines.push(` ${p}`));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write a .kbm file putting degree 0 of the scale on the root of the tuning,
+ * at the root's frequency. A loaded mapping is written back as it is.
+ */
+function formatKbmFile(stringData) {
+  const loaded = isMappedScale() ? getScalaMapping() : null;
+  let header, entries;
+
+  if (loaded) {
+    header = [loaded.size, loaded.firstNote, loaded.lastNote, loaded.middleNote,
+      loaded.referenceNote, loaded.referenceFrequency, loaded.octaveDegree];
+    entries = loaded.mapping.map(degree => degree === null ? 'x' : degree);
+  } else {
+    const melody = getMelodyString(stringData);
+    const rootMidi = (melody.rootMidi !== undefined) ? melody.rootMidi : melody.midi;
+    const size = getTemperamentCents().length;
+    // 12-note scales map key for key; other sizes run linearly up the keyboard
+    header = [size === 12 ? 12 : 0, 0, 127, rootMidi, rootMidi,
+      temperedFrequency(rootMidi, rootMidi).toFixed(6), size];
+    entries = (size === 12) ? [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] : [];
+  }
+
+  const labels = ['Size of map', 'First MIDI note number to retune', 'Last MIDI note number to retune',
+    'Middle note where the first entry of the mapping is mapped to', 'Reference note for which frequency is given',
+    'Frequency to tune the above note to', 'Scale degree to consider as formal octave'];
+  const lines = ['! lyre-calculator.kbm', '!'];
+  header.forEach((value, idx) => {
+    lines.push(`! ${labels[idx]}:`);
+    lines.push(String(value));
+  });
+  lines.push('! Mapping:');
+  entries.forEach(entry => lines.push(String(entry)));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Show what is loaded under the import buttons.
+ */
+function updateScalaInfo() {
+  const info = document.getElementById('scalaInfo');
+  const scale = getScalaScale();
+  if (!info || !scale) return;
+
+  const mapping = getScalaMapping();
+  info.textContent = `Loaded: ${scale.description || 'Scala scale'} (${scale.cents.length} notes, period ${scale.periodCents.toFixed(1)}¢)` +
+    (mapping ? `, keyboard mapping with MIDI ${mapping.referenceNote} = ${mapping.referenceFrequency} Hz` : ', tuned against the root of each tuning');
+}
+
+/**
+ * Read the chosen .scl and/or .kbm files and select the scale as the temperament.
+ */
+async function handleScalaImport(e) {
+  const files = [...e.target.files];
+  e.target.value = '';
+  if (files.length === 0) return;
+
+  const sclFile = files.find(f => /\.scl$/i.test(f.name));
+  const kbmFile = files.find(f => /\.kbm$/i.test(f.name));
+  let scale = getScalaScale();
+  let mapping = null;
+  let errors = [];
+
+  if (!sclFile && !kbmFile) {
+    errors.push('Please choose a .scl file (and optionally a .kbm file)');
+  }
+
+  const texts = new Map();
+  for (const file of [sclFile, kbmFile].filter(f => f)) {
+    try {
+      texts.set(file, await file.text());
+    } catch (err) {
+      UIkit.notification({
+        message: escapeHtml(`${file.name}: could not be read (${err.message || err}).`),
+        status: 'warning'
+      });
+      return;
+    }
+  }
+
+  if (sclFile) {
+    const parsed = parseScalaFile(texts.get(sclFile));
+    scale = parsed.scale;
+    errors = errors.concat(parsed.errors.map(err => `${sclFile.name}: ${err}`));
+  }
+  if (kbmFile && errors.length === 0) {
+    if (!scale) {
+      errors.push('Load a .scl file before (or together with) its .kbm mapping');
+    } else {
+      const parsed = parseKbmFile(texts.get(kbmFile));
+      mapping = parsed.mapping;
+      errors = errors.concat(parsed.errors.map(err => `${kbmFile.name}: ${err}`));
+      if (mapping) {
+        errors = errors.concat(validateKbmForScale(mapping, scale).map(err => `${kbmFile.name}: ${err}`));
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    UIkit.notification({
+      message: errors.map(escapeHtml).join('<br>'),
+      status: 'warning'
+    });
+    return;
+  }
+
+  setScalaScale(scale, mapping);
+  updateScalaInfo();
+
+  const select = document.getElementById('temperament');
+  const option = select.querySelector('option[value="scala"]');
+  option.disabled = false;
+  option.textContent = `Scala: ${scale.description || 'imported scale'}`;
+  select.value = 'scala';
+  select.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Download the current temperament as .scl, or its keyboard mapping as .kbm.
+ */
+function handleScalaExport(extension) {
+  const tuning = getSelectedTuning(false);
+  const stringData = tuning ? tuning.strings : [];
+
+  if (extension === 'kbm' && stringData.length === 0 && !isMappedScale()) {
+    UIkit.notification({
+      message: 'Please select a tuning first - the mapping puts the scale on its root.',
+      status: 'warning'
+    });
+    return;
+  }
+
+  const text = (extension === 'kbm') ? formatKbmFile(stringData) : formatScalaFile(stringData);
+  const name = stringData.length > 0
+    ? `lyre-${stringData.map(sd => sd.noteName).join('-')}-${getTemperamentKey()}`
+    : `lyre-${getTemperamentKey()}`;
+  downloadFile(`${name}.${extension}`, text, 'text/plain');
+}
+
+document.addEventListener("DOMContentLoaded", function() {
+  const input = document.getElementById('scalaFile');
+  if (!input) return;
+
+  input.addEventListener('change', handleScalaImport);
+  document.getElementById('exportSclBtn').addEventListener('click', () => handleScalaExport('scl'));
+  document.getElementById('exportKbmBtn').addEventListener('click', () => handleScalaExport('kbm'));
+});
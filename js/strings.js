@@ -0,0 +1,373 @@
+/* strings.js */
+
+/**
+ * String physics based on Mersenne's law:
+ *
+ *   f = (1 / 2L) * sqrt(T / μ)   =>   T = μ * (2 * L * f)^2
+ *
+ * where L is the vibrating length (m), f the frequency (Hz), T the tension (N)
+ * and μ the linear density (kg/m) = material density × cross-section area.
+ * Multi-strand strings (horse hair, Dacron...) are treated as a bundle of
+ * identical round strands.
+ */
+
+/** Standard gravity, to convert newtons to kilograms-force. */
+const GRAVITY = 9.80665;
+
+/**
+ * Target tension (kg) for each string "feel".
+ */
+const STRING_FEEL_PRESETS = {
+  light:  2.5,
+  medium: 3.5,
+  heavy:  5.0
+};
+
+/**
+ * Assumed bridge height (mm) for the bridge load - the middle of the 30-35mm
+ * recommended in the side view.
+ */
+const BRIDGE_HEIGHT_MM = 32;
+
+/** Assumed tailpiece thickness (mm), see the 5-7mm tail length comment. */
+const TAILPIECE_THICKNESS_MM = 6;
+
+/**
+ * Linear density (kg/m) of a string made of `strands` round strands of the
+ * given diameter (mm).
+ */
+function calcLinearDensity(density, diameterMm, strands = 1) {
+  const radiusM = (diameterMm / 1000) / 2;
+  return density * Math.PI * radiusM * radiusM * strands;
+}
+
+/**
+ * String tension (N) from Mersenne's law.
+ *  - scaleMm: vibrating length in mm
+ *  - freq: open string frequency in Hz
+ *  - density: material density in kg/m³
+ *  - diameterMm / strands: gauge of the string
+ */
+function calcStringTension(scaleMm, freq, density, diameterMm, strands = 1) {
+  const mu = calcLinearDensity(density, diameterMm, strands);
+  const lengthM = scaleMm / 1000;
+  return mu * Math.pow(2 * lengthM * freq, 2);
+}
+
+function newtonsToKg(newtons) {
+  return newtons / GRAVITY;
+}
+
+function kgToNewtons(kg) {
+  return kg * GRAVITY;
+}
+
+/**
+ * Solve for the gauge that brings a string to the target tension (N),
+ * for a material from the library (see materials.js).
+ * The inverse of Mersenne's law gives the linear density needed:
+ *
+ *   μ = T / (2 * L * f)^2
+ *
+ * Monofilament materials are solved for diameter (rounded to 0.01mm), multi-strand
+ * materials for a whole number of strands. The returned tension is the one the
+ * rounded gauge actually gives.
+ */
+function solveStringGauge(material, scaleMm, freq, targetN) {
+  const lengthM = scaleMm / 1000;
+  const mu = targetN / Math.pow(2 * lengthM * freq, 2);
+
+  let diameterMm, strands, text;
+  if (material.strandDiameterMm) {
+    diameterMm = material.strandDiameterMm;
+    const strandMu = calcLinearDensity(material.density, diameterMm, 1);
+    strands = Math.max(1, Math.round(mu / strandMu));
+    text = `${strands} strands`;
+  } else {
+    strands = 1;
+    const diameterM = Math.sqrt((4 * mu) / (material.density * Math.PI));
+    diameterMm = Math.max(0.01, Math.round(diameterM * 1000 * 100) / 100);
+    text = `${diameterMm.toFixed(2)} mm`;
+  }
+
+  return {
+    diameterMm: diameterMm,
+    strands: strands,
+    tensionN: calcStringTension(scaleMm, freq, material.density, diameterMm, strands),
+    text: text
+  };
+}
+
+/**
+ * Format a tension as "1.6 kg / 16 N".
+ */
+function formatTension(newtons) {
+  return `${newtonsToKg(newtons).toFixed(1)} kg / ${newtons.toFixed(0)} N`;
+}
+
+/**
+ * Downward force (N) the strings put on the bridge.
+ * Each string breaks over the bridge at an angle on the peg side (over the
+ * scale length) and on the tail side (over the afterlength down to the
+ * tailpiece); the vertical components of the tension on both sides add up.
+ */
+function calcBridgeLoad(totalTensionN, scaleMm, afterLengthMm,
+                        bridgeHeightMm = BRIDGE_HEIGHT_MM, tailpieceThicknessMm = TAILPIECE_THICKNESS_MM) {
+  const frontAngle = Math.atan2(bridgeHeightMm, scaleMm);
+  const backDrop = Math.max(0, bridgeHeightMm - tailpieceThicknessMm);
+  const backAngle = Math.atan2(backDrop, Math.max(afterLengthMm, 1));
+  return totalTensionN * (Math.sin(frontAngle) + Math.sin(backAngle));
+}
+
+/**
+ * Safety limits, as a fraction of the material's breaking stress.
+ *  - above STRESS_DANGER_RATIO the string is likely to snap while tuning or playing
+ *  - above STRESS_WARNING_RATIO it is running close to breaking
+ *  - below STRESS_SLACK_RATIO the pitch is so low for the scale that a string of a
+ *    normal gauge is slack and buzzes (only a very thick, dull string would work)
+ * Tensions below MIN_TENSION_KG buzz whatever the material.
+ */
+const STRESS_DANGER_RATIO = 0.85;
+const STRESS_WARNING_RATIO = 0.7;
+const STRESS_SLACK_RATIO = 0.03;
+const MIN_TENSION_KG = 1.5;
+
+/** Safety levels, from best to worst. */
+const SAFETY_LEVELS = ['ok', 'slack', 'warning', 'danger'];
+
+/**
+ * Stress (MPa) in a string. With T = μ(2Lf)² and μ = ρA the cross-section
+ * cancels out, so the stress depends only on the material, scale and pitch:
+ *
+ *   σ = T / A = ρ * (2 * L * f)^2
+ */
+function calcStringStress(scaleMm, freq, density) {
+  const lengthM = scaleMm / 1000;
+  return density * Math.pow(2 * lengthM * freq, 2) / 1e6;
+}
+
+/**
+ * The highest pitch (Hz) a material can reach at this scale before breaking.
+ */
+function calcBreakingFrequency(scaleMm, material) {
+  const lengthM = scaleMm / 1000;
+  return Math.sqrt((material.tensileStrength * 1e6) / material.density) / (2 * lengthM);
+}
+
+/**
+ * Check one string against a material's breaking stress.
+ * tensionN is optional; when given, very low tensions are flagged as slack too.
+ * Returns { stressPercent, level, message }.
+ */
+function assessStringSafety(material, scaleMm, freq, tensionN) {
+  const ratio = calcStringStress(scaleMm, freq, material.density) / material.tensileStrength;
+  const stressPercent = ratio * 100;
+
+  let level = 'ok';
+  let message = '';
+  if (ratio >= STRESS_DANGER_RATIO) {
+    level = 'danger';
+    message = `${stressPercent.toFixed(0)}% of breaking stress - likely to snap`;
+  } else if (ratio >= STRESS_WARNING_RATIO) {
+    level = 'warning';
+    message = `${stressPercent.toFixed(0)}% of breaking stress - close to breaking`;
+  } else if (ratio < STRESS_SLACK_RATIO) {
+    level = 'slack';
+    message = `only ${stressPercent.toFixed(1)}% of breaking stress - too low for this scale, will buzz unless very thick`;
+  } else if (tensionN !== undefined && newtonsToKg(tensionN) < MIN_TENSION_KG) {
+    level = 'slack';
+    message = `under ${MIN_TENSION_KG} kg - slack, likely to buzz`;
+  }
+
+  return { stressPercent: stressPercent, level: level, message: message };
+}
+
+/**
+ * Check one string against several materials (the columns shown in the string table).
+ * Returns:
+ *  - level: the best level any of the materials reaches (so 'danger' means no
+ *    material can hold the pitch)
+ *  - worst: the worst level of any of the materials
+ *  - notes: a message for each material that is not 'ok'
+ */
+function assessStringAcrossMaterials(materials, keys, scaleMm, freq) {
+  let best = SAFETY_LEVELS.length - 1;
+  let worst = 0;
+  const notes = [];
+
+  keys.forEach(key => {
+    const result = assessStringSafety(materials[key], scaleMm, freq);
+    const idx = SAFETY_LEVELS.indexOf(result.level);
+    best = Math.min(best, idx);
+    worst = Math.max(worst, idx);
+    if (result.level !== 'ok') {
+      notes.push(`${materials[key].name}: ${result.message}`);
+    }
+  });
+
+  return {
+    level: keys.length > 0 ? SAFETY_LEVELS[best] : 'ok',
+    worst: SAFETY_LEVELS[worst],
+    notes: notes
+  };
+}
+
+/**
+ * The more severe of two safety levels.
+ */
+function worseSafetyLevel(a, b) {
+  return SAFETY_LEVELS.indexOf(a) >= SAFETY_LEVELS.indexOf(b) ? a : b;
+}
+
+/**
+ * Comfortable playing band, as a fraction of the breaking stress. Inside it a
+ * normal gauge gives a good tension; outside it strings get thick and dull
+ * (towards the slack limit) or close to breaking (towards the warning limit).
+ */
+const STRESS_COMFORT_MIN_RATIO = 0.1;
+const STRESS_COMFORT_MAX_RATIO = 0.5;
+
+/**
+ * Frequency (Hz) at which a material reaches the given fraction of its breaking
+ * stress at this scale - the inverse of calcStringStress.
+ */
+function calcFrequencyForStressRatio(scaleMm, material, ratio) {
+  const lengthM = scaleMm / 1000;
+  return Math.sqrt((ratio * material.tensileStrength * 1e6) / material.density) / (2 * lengthM);
+}
+
+/**
+ * Feasible open-string range for a material at this scale:
+ *  - min / max: the slack and close-to-breaking limits
+ *  - comfortMin / comfortMax: the comfortable band inside them
+ */
+function calcMaterialPitchRange(scaleMm, material) {
+  return {
+    min: calcFrequencyForStressRatio(scaleMm, material, STRESS_SLACK_RATIO),
+    comfortMin: calcFrequencyForStressRatio(scaleMm, material, STRESS_COMFORT_MIN_RATIO),
+    comfortMax: calcFrequencyForStressRatio(scaleMm, material, STRESS_COMFORT_MAX_RATIO),
+    max: calcFrequencyForStressRatio(scaleMm, material, STRESS_WARNING_RATIO)
+  };
+}
+
+/**
+ * Score (0..1) of a pitch for one material: 1 in the middle of the comfortable
+ * band, 0.8 at its edges, then falling linearly (in semitones) to 0 at the slack
+ * and warning limits.
+ */
+function scorePitchForMaterial(scaleMm, material, freq) {
+  const range = calcMaterialPitchRange(scaleMm, material);
+  const semis = (a, b) => 12 * Math.log2(a / b);
+  const centre = Math.sqrt(range.comfortMin * range.comfortMax);
+
+  if (freq >= range.comfortMin && freq <= range.comfortMax) {
+    const halfWidth = semis(range.comfortMax, centre);
+    return 1 - 0.2 * Math.abs(semis(freq, centre)) / halfWidth;
+  }
+  if (freq < range.comfortMin) {
+    return Math.max(0, 0.8 * (1 - semis(range.comfortMin, freq) / semis(range.comfortMin, range.min)));
+  }
+  return Math.max(0, 0.8 * (1 - semis(freq, range.comfortMax) / semis(range.max, range.comfortMax)));
+}
+
+/**
+ * Whether a pitch sits in a material's comfortable band.
+ */
+function isPitchComfortable(scaleMm, material, freq) {
+  const range = calcMaterialPitchRange(scaleMm, material);
+  return freq >= range.comfortMin && freq <= range.comfortMax;
+}
+
+/**
+ * Score one string against the materials shown in the string table, keeping the
+ * material that suits it best.
+ * Returns { score, materialKey, stressPercent, comfortable }.
+ */
+function scoreStringPitch(materials, keys, scaleMm, freq) {
+  let best = { score: 0, materialKey: null, stressPercent: 0, comfortable: false };
+
+  keys.forEach(key => {
+    const score = scorePitchForMaterial(scaleMm, materials[key], freq);
+    if (best.materialKey === null || score > best.score) {
+      best = {
+        score: score,
+        materialKey: key,
+        stressPercent: 100 * calcStringStress(scaleMm, freq, materials[key].density) / materials[key].tensileStrength,
+        comfortable: isPitchComfortable(scaleMm, materials[key], freq)
+      };
+    }
+  });
+
+  return best;
+}
+
+/** Elastic modulus (GPa) for materials without one - roughly gut or nylon. */
+const DEFAULT_STRING_MODULUS_GPA = 5;
+
+/**
+ * Back-of-finger stopping. The string is pushed sideways by the back of the
+ * finger rather than pressed onto a fingerboard, which moves the pitch up:
+ *  - the finger touches the string over `contactWidthMm`, and the vibrating
+ *    length starts at the bridge-side edge of the contact, half the contact
+ *    width past the finger's centre
+ *  - pushing the string aside by `deflectionMm` stretches it. Taking the strain
+ *    over the nut-to-bridge length (no slip over the nut or bridge):
+ *      ε = (l_nut + w + l_bridge - L) / L,   ΔT / T = E × ε / σ
+ *    where l_nut and l_bridge are the slanted lengths either side of the finger
+ *    and σ the open-string stress, so the gauge cancels out as it does there.
+ *
+ * Returns the frequency (Hz) with the finger's centre at centreMm from the nut.
+ */
+function calcFingerStoppedFrequency(scaleMm, openFreq, centreMm, finger, material) {
+  const halfWidth = finger.contactWidthMm / 2;
+  const deflection = finger.deflectionMm;
+  const nutSide = Math.max(0, centreMm - halfWidth);
+  const bridgeSide = Math.max(0, scaleMm - centreMm - halfWidth);
+
+  const vibratingMm = Math.hypot(bridgeSide, deflection);
+  const stretchedMm = Math.hypot(nutSide, deflection) + (scaleMm - nutSide - bridgeSide) + vibratingMm;
+  const strain = (stretchedMm - scaleMm) / scaleMm;
+
+  const modulusMPa = (material.modulusGPa || DEFAULT_STRING_MODULUS_GPA) * 1000;
+  const tensionRatio = 1 + modulusMPa * strain / calcStringStress(scaleMm, openFreq, material.density);
+  return openFreq * (scaleMm / vibratingMm) * Math.sqrt(tensionRatio);
+}
+
+/**
+ * Where to put the finger's centre (mm from the nut) to sound targetFreq with
+ * back-of-finger stopping. Also returns how sharp (cents) the note is when the
+ * finger's centre is on the ideal, point-stop position.
+ *
+ * Walks from the ideal position towards the nut until the note is flat, then
+ * bisects. Close to the nut the stretch grows faster than the length, so the
+ * pitch can bottom out above the target: distMm is then null.
+ */
+function calcCompensatedStop(scaleMm, openFreq, targetFreq, finger, material) {
+  const idealMm = scaleMm * (1 - openFreq / targetFreq);
+  const pitchAt = mm => calcFingerStoppedFrequency(scaleMm, openFreq, mm, finger, material);
+
+  const sharpCents = 1200 * Math.log2(pitchAt(idealMm) / targetFreq);
+  const halfWidth = finger.contactWidthMm / 2;
+
+  let high = idealMm + finger.contactWidthMm;
+  let low = idealMm;
+  while (pitchAt(low) >= targetFreq) {
+    const next = low - 0.5;
+    if (next <= halfWidth || pitchAt(next) >= pitchAt(low)) {
+      return { distMm: null, sharpCents: sharpCents };
+    }
+    high = low;
+    low = next;
+  }
+
+  for (let i = 0; i < 50; i++) {
+    const mid = (low + high) / 2;
+    if (pitchAt(mid) < targetFreq) low = mid;
+    else high = mid;
+  }
+
+  return {
+    distMm: (low + high) / 2,
+    sharpCents: sharpCents
+  };
+}
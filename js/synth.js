@@ -0,0 +1,219 @@
+/* synth.js */
+
+/**
+ * Audio preview of the strings with the Web Audio API.
+ *
+ * Each note is a simple bowed-string voice: two slightly detuned sawtooth
+ * oscillators (a bowed string vibrates close to a sawtooth), a low-pass filter
+ * for the darker tone of gut and horse hair, a peak around the body's air
+ * resonance, and a slow bow attack and release. The same graph renders
+ * offline (OfflineAudioContext) to a WAV file, so previews can be shared or
+ * checked without playing them.
+ */
+
+const PREVIEW_SAMPLE_RATE = 44100;
+
+/** How long a single string or table row plays, and the drone chord (s). */
+const PREVIEW_NOTE_SECONDS = 2;
+const PREVIEW_CHORD_SECONDS = 4;
+
+const BOW_ATTACK_SECONDS = 0.12;
+const BOW_RELEASE_SECONDS = 0.3;
+
+/** Body air resonance (Hz) boosted in every voice until a design is calculated. */
+const DEFAULT_BODY_RESONANCE_HZ = 280;
+
+/** The live audio context (created on first use) and what it is playing. */
+let previewContext = null;
+let previewOutput = null;
+
+/** The last preview played: { freqs, seconds, label }, for the WAV download. */
+let lastPreview = null;
+
+/**
+ * The body air resonance (Hz) to boost: the last calculated design's (row T),
+ * else DEFAULT_BODY_RESONANCE_HZ.
+ */
+function getPreviewBodyResonance() {
+  return (lastBodyResonances.length > 0) ? lastBodyResonances[0].freq : DEFAULT_BODY_RESONANCE_HZ;
+}
+
+/**
+ * Schedule one bowed note into `output`, starting at `start` (s) for `seconds`.
+ */
+function scheduleBowedNote(ctx, output, freq, start, seconds, level) {
+  const end = start + seconds;
+
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.value = Math.min(freq * 8, 5000);
+  filter.Q.value = 0.7;
+
+  const body = ctx.createBiquadFilter();
+  body.type = 'peaking';
+  body.frequency.value = getPreviewBodyResonance();
+  body.Q.value = 1.5;
+  body.gain.value = 6;
+
+  const envelope = ctx.createGain();
+  envelope.gain.setValueAtTime(0, start);
+  envelope.gain.linearRampToValueAtTime(level, start + BOW_ATTACK_SECONDS);
+  envelope.gain.setValueAtTime(level, end - BOW_RELEASE_SECONDS);
+  envelope.gain.linearRampToValueAtTime(0, end);
+
+  filter.connect(body);
+  body.connect(envelope);
+  envelope.connect(output);
+
+  // Two sawtooths 4 cents apart give the slightly rough sound of the bow
+  [-2, 2].forEach(cents => {
+    const osc = ctx.createOscillator();
+    osc.type = 'sawtooth';
+    osc.frequency.value = freq;
+    osc.detune.value = cents;
+    osc.connect(filter);
+    osc.start(start);
+    osc.stop(end);
+  });
+}
+
+/**
+ * Schedule all the frequencies together (a chord) into `output`, at a level
+ * that keeps the sum from clipping.
+ */
+function schedulePreview(ctx, output, freqs, start, seconds) {
+  const level = 0.5 / Math.max(1, freqs.length);
+  freqs.forEach(freq => scheduleBowedNote(ctx, output, freq, start, seconds, level));
+}
+
+/**
+ * Play frequencies (Hz) together through the speakers, stopping any preview
+ * still playing. `label` names the WAV file if this preview is saved.
+ */
+function playPreview(freqs, seconds, label) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) {
+    UIkit.notification({
+      message: 'Audio preview is not supported in this browser.',
+      status: 'warning'
+    });
+    return;
+  }
+  if (!previewContext) previewContext = new AudioContextClass();
+  previewContext.resume();
+
+  if (previewOutput) previewOutput.disconnect();
+  previewOutput = previewContext.createGain();
+  previewOutput.connect(previewContext.destination);
+
+  schedulePreview(previewContext, previewOutput, freqs, previewContext.currentTime + 0.05, seconds);
+  lastPreview = { freqs: freqs, seconds: seconds, label: label };
+}
+
+/**
+ * Render frequencies to a mono WAV file (Blob) with an OfflineAudioContext.
+ */
+async function renderPreviewWav(freqs, seconds) {
+  const ctx = new OfflineAudioContext(1, Math.ceil(seconds * PREVIEW_SAMPLE_RATE), PREVIEW_SAMPLE_RATE);
+  schedulePreview(ctx, ctx.destination, freqs, 0, seconds);
+  const buffer = await ctx.startRendering();
+  return encodeWav(buffer);
+}
+
+/**
+ * 16-bit PCM WAV (Blob) of an AudioBuffer, its channels mixed to mono.
+ */
+function encodeWav(audioBuffer) {
+  const length = audioBuffer.length;
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+
+  const view = new DataView(new ArrayBuffer(44 + length * 2));
+  const writeText = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + length * 2, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true);             // fmt chunk size
+  view.setUint16(20, 1, true);              // PCM
+  view.setUint16(22, 1, true);              // mono
+  view.setUint32(24, audioBuffer.sampleRate, true);
+  view.setUint32(28, audioBuffer.sampleRate * 2, true);
+  view.setUint16(32, 2, true);              // bytes per frame
+  view.setUint16(34, 16, true);             // bits per sample
+  writeText(36, 'data');
+  view.setUint32(40, length * 2, true);
+
+  for (let i = 0; i < length; i++) {
+    let sample = 0;
+    channels.forEach(data => sample += data[i]);
+    sample = Math.max(-1, Math.min(1, sample / channels.length));
+    view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+  }
+  return new Blob([view.buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Save the last preview played as a WAV file.
+ */
+async function handlePreviewWavDownload() {
+  if (!lastPreview) {
+    UIkit.notification({
+      message: 'Play a string, the drone chord or a table row first.',
+      status: 'warning'
+    });
+    return;
+  }
+  if (typeof OfflineAudioContext === 'undefined') {
+    UIkit.notification({
+      message: 'Saving previews as WAV is not supported in this browser.',
+      status: 'warning'
+    });
+    return;
+  }
+
+  let blob;
+  try {
+    blob = await renderPreviewWav(lastPreview.freqs, lastPreview.seconds);
+  } catch (err) {
+    UIkit.notification({
+      message: escapeHtml(`The WAV file could not be rendered (${err.message || err}).`),
+      status: 'warning'
+    });
+    return;
+  }
+  downloadFile(`${lastPreview.label.replace(/[^\w#-]+/g, '_')}.wav`, blob);
+}
+
+/**
+ * A play button for renderTuningDetails and the hand-position table: the
+ * frequencies, length and label ride on data attributes.
+ */
+function previewButtonHtml(text, freqs, seconds, label) {
+  return `<button type="button" class="uk-button uk-button-default uk-button-small" data-preview-freqs="${freqs.map(f => f.toFixed(3)).join(',')}" data-preview-seconds="${seconds}" data-preview-label="${escapeHtml(label)}" title="Play ${escapeHtml(label)}">▶${text ? ` ${escapeHtml(text)}` : ''}</button>`;
+}
+
+/**
+ * Play the preview of a clicked play button (delegated from its container).
+ */
+function handlePreviewClick(e) {
+  const btn = e.target.closest('[data-preview-freqs]');
+  if (!btn) return;
+  const freqs = btn.getAttribute('data-preview-freqs').split(',').map(parseFloat);
+  playPreview(freqs, parseFloat(btn.getAttribute('data-preview-seconds')), btn.getAttribute('data-preview-label'));
+}
+
+document.addEventListener("DOMContentLoaded", function() {
+  const details = document.getElementById('tuningDetails');
+  if (!details) return;
+
+  details.addEventListener('click', (e) => {
+    if (e.target.closest('#previewWavBtn')) handlePreviewWavDownload();
+    else handlePreviewClick(e);
+  });
+  document.getElementById('noteDistanceTable').addEventListener('click', handlePreviewClick);
+});
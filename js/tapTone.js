@@ -0,0 +1,264 @@
+/* tapTone.js */
+
+/**
+ * Tap-tone analysis. A recording of the soundboard or body being tapped is
+ * decoded in the browser and its average spectrum computed (Hann-windowed
+ * FFT frames, averaged over the loud part of the recording). The strongest
+ * peaks are listed against the notes the tuning plays (open strings and the
+ * melody-string stops) and, once a design is calculated, against the air
+ * resonance and soundboard plate modes predicted for it (lastBodyResonances),
+ * so a resonance sitting on a played note shows up before the body is glued up.
+ */
+
+/** FFT frame length (samples), a power of two: about 5 Hz per bin at 44.1 kHz. */
+const TAP_FFT_SIZE = 8192;
+
+/** Frequency range analysed and drawn (Hz). */
+const TAP_MIN_FREQ = 40;
+const TAP_MAX_FREQ = 2000;
+
+/** Frames quieter than this fraction of the loudest frame are left out. */
+const TAP_SILENCE_RATIO = 0.1;
+
+/** How many peaks are listed, how far apart they must be and how weak they may be. */
+const TAP_PEAK_COUNT = 6;
+const TAP_PEAK_MIN_SPACING_CENTS = 100;
+const TAP_PEAK_FLOOR_DB = -30;
+
+/** A peak this close to a played note (cents) is flagged. */
+const TAP_NEAR_NOTE_CENTS = 50;
+
+/**
+ * In-place radix-2 FFT of re/im arrays (length a power of two).
+ */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const wr = Math.cos(angle * k);
+        const wi = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * Average power spectrum of mono samples: Hann-windowed frames of
+ * TAP_FFT_SIZE overlapping by half, silent frames skipped (a recording
+ * shorter than a frame is zero-padded). Returns { binHz, power } with
+ * power[k] for k = 0..TAP_FFT_SIZE/2, or null if the recording is silent.
+ */
+function calcAverageSpectrum(samples, sampleRate) {
+  const n = TAP_FFT_SIZE;
+  const hop = n / 2;
+  const window = new Float64Array(n);
+  for (let i = 0; i < n; i++) window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1));
+
+  const frames = [];
+  for (let start = 0; start === 0 || start + n <= samples.length; start += hop) {
+    const frame = samples.subarray(start, Math.min(start + n, samples.length));
+    let energy = 0;
+    for (let i = 0; i < frame.length; i++) energy += frame[i] * frame[i];
+    frames.push({ frame: frame, energy: energy });
+  }
+  const loudest = frames.reduce((max, f) => Math.max(max, f.energy), 0);
+  if (loudest === 0) return null;
+
+  const power = new Float64Array(n / 2 + 1);
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  let used = 0;
+  frames.forEach(f => {
+    if (f.energy < loudest * TAP_SILENCE_RATIO) return;
+    re.fill(0);
+    im.fill(0);
+    for (let i = 0; i < f.frame.length; i++) re[i] = f.frame[i] * window[i];
+    fft(re, im);
+    for (let k = 0; k <= n / 2; k++) power[k] += re[k] * re[k] + im[k] * im[k];
+    used++;
+  });
+  for (let k = 0; k <= n / 2; k++) power[k] /= used;
+  return { binHz: sampleRate / n, power: power };
+}
+
+/**
+ * The strongest peaks of a spectrum between TAP_MIN_FREQ and TAP_MAX_FREQ:
+ * local maxima, at most TAP_PEAK_COUNT, each at least
+ * TAP_PEAK_MIN_SPACING_CENTS from a stronger one and no more than
+ * TAP_PEAK_FLOOR_DB below the strongest. The frequency is refined between
+ * bins with a parabola through the peak's dB levels.
+ * Returns [{ freq, db }] strongest first, db relative to the strongest peak.
+ */
+function findSpectrumPeaks(spectrum) {
+  const { binHz, power } = spectrum;
+  const db = k => 10 * Math.log10(power[k] + 1e-20);
+  const first = Math.max(1, Math.ceil(TAP_MIN_FREQ / binHz));
+  const last = Math.min(power.length - 2, Math.floor(TAP_MAX_FREQ / binHz));
+
+  const candidates = [];
+  for (let k = first; k <= last; k++) {
+    if (power[k] <= power[k - 1] || power[k] < power[k + 1]) continue;
+    const a = db(k - 1);
+    const b = db(k);
+    const c = db(k + 1);
+    const curve = a - 2 * b + c;
+    const offset = (curve < 0) ? (a - c) / (2 * curve) : 0;
+    candidates.push({ freq: (k + offset) * binHz, db: b - (a - c) * offset / 4 });
+  }
+  candidates.sort((p, q) => q.db - p.db);
+  if (candidates.length === 0) return [];
+
+  const strongest = candidates[0].db;
+  const peaks = [];
+  for (const p of candidates) {
+    if (peaks.length >= TAP_PEAK_COUNT || p.db - strongest < TAP_PEAK_FLOOR_DB) break;
+    if (peaks.some(q => Math.abs(ratioToCents(p.freq / q.freq)) < TAP_PEAK_MIN_SPACING_CENTS)) continue;
+    peaks.push(p);
+  }
+  return peaks.map(p => ({ freq: p.freq, db: p.db - strongest }));
+}
+
+/**
+ * The notes the tuning plays: each open string, and the melody string
+ * stopped at steps 1..lastStep. Returns [{ freq, label }].
+ */
+function listPlayedNotes(scaleLength, stringData, lastStep, useFlats) {
+  const reversedStrings = [...stringData].reverse();
+  const notes = reversedStrings.map((sd, i) => ({
+    freq: sd.freq,
+    label: `String ${i+1} open (${sd.noteName})`
+  }));
+  const melody = getMelodyString(stringData);
+  const melodyNumber = reversedStrings.indexOf(melody) + 1;
+  calcHandPositions(scaleLength, melody, lastStep).slice(1).forEach(p => {
+    notes.push({
+      freq: p.freq,
+      label: `String ${melodyNumber} step ${p.step} (${midiToNoteName(p.midi, useFlats)})`
+    });
+  });
+  return notes;
+}
+
+/**
+ * The reference (from [{ freq, label }]) nearest a frequency in cents.
+ * Returns { freq, label, cents } or null for an empty list.
+ */
+function nearestReference(freq, references) {
+  let best = null;
+  references.forEach(r => {
+    const cents = ratioToCents(freq / r.freq);
+    if (best === null || Math.abs(cents) < Math.abs(best.cents)) {
+      best = { freq: r.freq, label: r.label, cents: cents };
+    }
+  });
+  return best;
+}
+
+/**
+ * Analyse a tap-tone recording and fill the tap-tone report with its
+ * spectrum and peak table.
+ */
+async function handleTapToneFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  const report = document.getElementById('tapToneReport');
+  const scaleLength = parseFloat(document.getElementById('scaleLength').value);
+  if (!validateScaleLength(scaleLength)) return;
+  if (!readReferencePitch()) return;
+  const tuning = getSelectedTuning(true);
+  if (!tuning) return;
+
+  let spectrum;
+  try {
+    const decoder = new OfflineAudioContext(1, 1, PREVIEW_SAMPLE_RATE);
+    const audio = await decoder.decodeAudioData(await file.arrayBuffer());
+    spectrum = calcAverageSpectrum(mixToMono(audio), audio.sampleRate);
+  } catch (err) {
+    UIkit.notification({
+      message: escapeHtml(`${file.name}: could not be decoded (${err.message || err}).`),
+      status: 'warning'
+    });
+    return;
+  }
+  if (!spectrum) {
+    UIkit.notification({ message: escapeHtml(`${file.name} is silent.`), status: 'warning' });
+    return;
+  }
+
+  const stringData = tuning.strings;
+  const useFlats = tuningUsesFlats(stringData);
+  const played = listPlayedNotes(scaleLength, stringData, readHandRange(), useFlats);
+  const resonances = lastBodyResonances;
+  const peaks = findSpectrumPeaks(spectrum);
+
+  let html = `<h5>${escapeHtml(file.name)}</h5><div id="tapToneSpectrum" class="uk-overflow-auto"></div>`;
+  if (peaks.length === 0) {
+    report.innerHTML = html + `<p class="uk-text-small uk-text-warning">No peaks found between ${TAP_MIN_FREQ} and ${TAP_MAX_FREQ} Hz.</p>`;
+    return;
+  }
+
+  html += `<table class="uk-table uk-table-small uk-table-striped uk-text-small">
+    <thead><tr><th>Peak</th><th>Level</th><th>Nearest played note</th>${resonances.length > 0 ? '<th>Nearest predicted resonance</th>' : ''}</tr></thead><tbody>`;
+  peaks.forEach((peak, i) => {
+    const note = nearestReference(peak.freq, played);
+    const near = Math.abs(note.cents) <= TAP_NEAR_NOTE_CENTS;
+    const resonance = nearestReference(peak.freq, resonances);
+    html += `<tr class="${near ? 'uk-text-warning' : ''}">
+      <td>${i+1}: ${peak.freq.toFixed(1)} Hz (${getNearestNoteName(peak.freq, useFlats)})</td>
+      <td>${peak.db.toFixed(1)} dB</td>
+      <td>${escapeHtml(note.label)} ${formatCents(note.cents)}${near ? ' - on a played note' : ''}</td>
+      ${resonance ? `<td>${escapeHtml(resonance.label)} ${resonance.freq.toFixed(0)} Hz, ${formatCents(resonance.cents)}</td>` : ''}
+    </tr>`;
+  });
+  html += `</tbody></table>`;
+  if (peaks.some(peak => Math.abs(nearestReference(peak.freq, played).cents) <= TAP_NEAR_NOTE_CENTS)) {
+    html += `<p class="uk-text-small uk-text-warning">A body resonance within ${TAP_NEAR_NOTE_CENTS} cents of a played note can make that note boom or wolf - consider changing the soundhole or the soundboard thickness before gluing up.</p>`;
+  }
+  html += `<p class="uk-text-small uk-text-muted">Levels are relative to the strongest peak. ${resonances.length > 0 ? 'Predicted resonances are from the last calculated design (rows T and V).' : 'No design has been calculated yet, so there are no predicted air or soundboard resonances to compare with - calculate one and analyse the recording again.'}</p>`;
+
+  report.innerHTML = html;
+
+  // The spectrum, with the played notes and predicted resonances marked
+  const bins = [];
+  for (let k = 1; k < spectrum.power.length; k++) {
+    const freq = k * spectrum.binHz;
+    if (freq < TAP_MIN_FREQ || freq > TAP_MAX_FREQ) continue;
+    bins.push({ freq: freq, db: 10 * Math.log10(spectrum.power[k] + 1e-20) });
+  }
+  document.getElementById('tapToneSpectrum').appendChild(drawSpectrumSVG({
+    title: `Tap-tone spectrum - ${file.name}`,
+    bins: bins,
+    minFreq: TAP_MIN_FREQ,
+    maxFreq: TAP_MAX_FREQ,
+    peaks: peaks,
+    notes: played.slice(0, stringData.length),
+    resonances: resonances
+  }));
+}
+
+document.addEventListener("DOMContentLoaded", function() {
+  const input = document.getElementById('tapToneFile');
+  if (!input) return;
+  input.addEventListener('change', handleTapToneFile);
+});
@@ -0,0 +1,261 @@
+/* temperaments.js */
+
+/**
+ * Temperaments, as the pitch in cents of each of the 12 semitone steps above
+ * the root (melody/drone) string. The root itself stays at its equal-tempered
+ * pitch against the A4 reference; everything else is tuned relative to it, so
+ * drones tuned in pure fifths and the notes stopped against them agree.
+ */
+
+/** Cents of a frequency ratio. */
+function ratioToCents(ratio) {
+  return 1200 * Math.log2(ratio);
+}
+
+function centsToRatio(cents) {
+  return Math.pow(2, cents / 1200);
+}
+
+const TEMPERAMENTS = {
+  equal: {
+    name: 'Equal temperament (12-TET)',
+    cents: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100]
+  },
+  pythagorean: {
+    name: 'Pythagorean (pure fifths)',
+    ratios: ['1/1', '256/243', '9/8', '32/27', '81/64', '4/3', '729/512', '3/2', '128/81', '27/16', '16/9', '243/128']
+  },
+  just: {
+    name: '5-limit just intonation (relative to the drone)',
+    ratios: ['1/1', '16/15', '9/8', '6/5', '5/4', '4/3', '45/32', '3/2', '8/5', '5/3', '9/5', '15/8']
+  },
+  meantone: {
+    name: 'Quarter-comma meantone',
+    // Each step is a number of fifths from the root (three below to eight above),
+    // the fifths narrowed by a quarter of the syntonic comma to 5^(1/4) = 696.58 cents
+    cents: [0, 7, 2, -3, 4, -1, 6, 1, 8, 3, -2, 5].map(fifths => {
+      const c = fifths * ratioToCents(Math.pow(5, 1/4));
+      return ((c % 1200) + 1200) % 1200;
+    })
+  }
+};
+
+// Ratio temperaments keep their ratios (for exact .scl export) and get cents from them
+Object.keys(TEMPERAMENTS).forEach(key => {
+  const t = TEMPERAMENTS[key];
+  if (t.ratios) {
+    t.cents = t.ratios.map(r => {
+      const [num, den] = r.split('/').map(Number);
+      return ratioToCents(num / den);
+    });
+  }
+});
+
+let temperamentKey = 'equal';
+let customCentsOffsets = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+
+/**
+ * A scale imported from a Scala file (see scala.js), selected with the 'scala' key:
+ *  - scalaScale: { description, cents, periodCents, pitches }, cents starting with
+ *    0 for the root and periodCents the interval the scale repeats at (usually 1200)
+ *  - scalaMapping: an optional 12-key keyboard mapping from a .kbm file, which
+ *    pins the scale to fixed notes and a reference frequency instead of the
+ *    tuning's root
+ */
+let scalaScale = null;
+let scalaMapping = null;
+
+/**
+ * Select a temperament by key ('equal', 'pythagorean', 'just', 'meantone',
+ * 'custom' or 'scala'). For 'custom', offsets are the cents away from equal
+ * temperament of each of the 12 steps (the first, the root, is always 0);
+ * 'scala' needs a scale loaded with setScalaScale.
+ * Returns false if the key or offsets are not valid.
+ */
+function setTemperament(key, offsets) {
+  if (key === 'scala') {
+    if (!scalaScale) return false;
+  } else if (key === 'custom') {
+    if (!Array.isArray(offsets) || offsets.length !== 12 || offsets.some(o => isNaN(o) || Math.abs(o) > 100)) {
+      return false;
+    }
+    customCentsOffsets = offsets.slice();
+    customCentsOffsets[0] = 0;
+  } else if (!TEMPERAMENTS[key]) {
+    return false;
+  }
+  temperamentKey = key;
+  return true;
+}
+
+function getTemperamentKey() {
+  return temperamentKey;
+}
+
+/**
+ * Load a Scala scale (and optionally a keyboard mapping, or null). Selecting it
+ * is left to setTemperament('scala').
+ */
+function setScalaScale(scale, mapping) {
+  scalaScale = scale;
+  scalaMapping = mapping || null;
+}
+
+function getScalaScale() {
+  return scalaScale;
+}
+
+function getScalaMapping() {
+  return scalaMapping;
+}
+
+/**
+ * Name of the selected temperament, for table notes and exports.
+ */
+function getTemperamentName() {
+  if (temperamentKey === 'custom') return 'Custom cents offsets';
+  if (temperamentKey === 'scala') return scalaScale.description || 'Scala scale';
+  return TEMPERAMENTS[temperamentKey].name;
+}
+
+/**
+ * Cents above the root for each degree of the current temperament (12 for the
+ * built-in ones, any number for a Scala scale).
+ */
+function getTemperamentCents() {
+  if (temperamentKey === 'custom') {
+    return customCentsOffsets.map((off, i) => i * 100 + off);
+  }
+  if (temperamentKey === 'scala') {
+    return scalaScale.cents;
+  }
+  return TEMPERAMENTS[temperamentKey].cents;
+}
+
+function getPeriodCents() {
+  return (temperamentKey === 'scala') ? scalaScale.periodCents : 1200;
+}
+
+/**
+ * Whether a Scala keyboard mapping sets the pitches of the 12 chromatic keys.
+ */
+function isMappedScale() {
+  return temperamentKey === 'scala' && scalaMapping !== null;
+}
+
+/**
+ * Number of steps in one period of the current temperament: 12 semitones, or
+ * the degrees of an unmapped Scala scale of another size.
+ */
+function getStepsPerOctave() {
+  return isMappedScale() ? 12 : getTemperamentCents().length;
+}
+
+/**
+ * Pitch in cents of a scale degree above (or below) the root, repeating the
+ * scale every period.
+ */
+function scaleDegreeCents(degree) {
+  const cents = getTemperamentCents();
+  const period = Math.floor(degree / cents.length);
+  const idx = ((degree % cents.length) + cents.length) % cents.length;
+  return period * getPeriodCents() + cents[idx];
+}
+
+/**
+ * The scale degree used for an interval of some semitones: the same step in a
+ * 12-note temperament, else the degree closest to the equal-tempered interval.
+ */
+function semitonesToDegree(semitones) {
+  const size = getTemperamentCents().length;
+  if (size === 12 && getPeriodCents() === 1200) return semitones;
+
+  const target = semitones * 100;
+  const guess = Math.round(target / getPeriodCents()) * size;
+  let best = guess;
+  for (let d = guess - size; d <= guess + size; d++) {
+    if (Math.abs(scaleDegreeCents(d) - target) < Math.abs(scaleDegreeCents(best) - target)) {
+      best = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * Pitch in cents of a number of semitone steps above (or below) the root.
+ */
+function temperedStepCents(steps) {
+  return scaleDegreeCents(semitonesToDegree(steps));
+}
+
+/**
+ * Cents of a key in a Scala keyboard mapping, relative to the mapping's middle
+ * note, or null if the key is not mapped (left in equal temperament).
+ */
+function mappedKeyCents(midi) {
+  const m = scalaMapping;
+  if (midi < m.firstNote || midi > m.lastNote) return null;
+
+  const offset = midi - m.middleNote;
+  if (m.size === 0) return scaleDegreeCents(offset);
+
+  const octaves = Math.floor(offset / m.size);
+  const degree = m.mapping[((offset % m.size) + m.size) % m.size];
+  if (degree === null) return null;
+  return scaleDegreeCents(degree) + octaves * scaleDegreeCents(m.octaveDegree || getTemperamentCents().length);
+}
+
+/**
+ * Frequency of a note in the current temperament, relative to the root note of
+ * the tuning (both MIDI numbers). A Scala keyboard mapping fixes the pitches
+ * itself, whatever the root.
+ */
+function temperedFrequency(rootMidi, midi) {
+  if (isMappedScale()) {
+    const cents = mappedKeyCents(midi);
+    const refCents = mappedKeyCents(scalaMapping.referenceNote);
+    if (cents === null || refCents === null) return midiToFrequency(midi);
+    return scalaMapping.referenceFrequency * centsToRatio(cents - refCents);
+  }
+  return midiToFrequency(rootMidi) * centsToRatio(temperedStepCents(midi - rootMidi));
+}
+
+/**
+ * Cents a note sits away from its equal-tempered pitch in the current temperament.
+ */
+function centsFromEqual(rootMidi, midi) {
+  return ratioToCents(temperedFrequency(rootMidi, midi) / midiToFrequency(midi));
+}
+
+/**
+ * Pitches of the steps along a string, from its open note up `count` steps of
+ * the current temperament: semitones for 12-note temperaments and mapped Scala
+ * scales, scale degrees for other Scala scales.
+ * Returns [{ step, midi, freq, cents }], midi being the nearest chromatic note
+ * and cents the deviation from it.
+ */
+function temperedStepsAbove(rootMidi, openMidi, count) {
+  const steps = [];
+  const chromatic = isMappedScale() || (getTemperamentCents().length === 12 && getPeriodCents() === 1200);
+  const openDegree = semitonesToDegree(openMidi - rootMidi);
+
+  for (let n = 0; n <= count; n++) {
+    let freq;
+    if (chromatic) {
+      freq = temperedFrequency(rootMidi, openMidi + n);
+    } else {
+      freq = midiToFrequency(rootMidi) * centsToRatio(scaleDegreeCents(openDegree + n));
+    }
+    const midi = chromatic ? openMidi + n : Math.round(frequencyToMidi(freq));
+    steps.push({ step: n, midi: midi, freq: freq, cents: ratioToCents(freq / midiToFrequency(midi)) });
+  }
+  return steps;
+}
+
+/**
+ * Format a cents deviation, e.g. "+2.0¢", "-13.7¢" or "0¢".
+ */
+function formatCents(cents) {
+  if (Math.abs(cents) < 0.05) return '0¢';
+  return `${cents > 0 ? '+' : ''}${cents.toFixed(1)}¢`;
+}
@@ -0,0 +1,408 @@
+/* tune.js */
+
+/**
+ * Tune playability: where each note of a loaded tune (see abc.js and
+ * musicxml.js) can be
+ * played on a tuning, which drone notes clash with the melody, and which of
+ * the feasible tunings suits the tune best.
+ *
+ * A note is played, in order of preference (stops up to the hand-position
+ * range, as in the hand-position table):
+ *  - on the melody string, open or stopped within the window
+ *  - on another string, open or stopped within the window
+ * Otherwise it is outside the window (reachable on the melody string only
+ * under the headstock, past the window end or by the bridge) or not playable.
+ */
+
+/** Intervals (semitones within an octave) that clash against a drone: m2, TT, M7. */
+const DRONE_CLASH_INTERVALS = [1, 6, 11];
+
+/** Octave shifts tried when fitting a tune to a tuning, preferred first. */
+const TUNE_OCTAVE_SHIFTS = [0, -12, 12, -24, 24];
+
+/** How many tunings the ranking lists. */
+const TUNE_RANKING_SIZE = 5;
+
+/** The tune loaded in the checker, or null. */
+let currentTune = null;
+
+/** Tablature of the loaded tune on the tuning in use, for drawTablatureSVG, or null. */
+let lastTablatureConfig = null;
+
+function getCurrentTune() {
+  return currentTune;
+}
+
+function setCurrentTune(tune) {
+  currentTune = tune;
+}
+
+/**
+ * Every place a string can sound within the window, up to lastStep, as a map
+ * from MIDI note to { step, distFromNut } (the lowest step if a Scala scale
+ * repeats a note), plus the stops that fall outside the window with their status.
+ */
+function mapStringStops(scaleLength, sd, lastStep) {
+  const scaleMm = scaleLength * 10;
+  const span = calcWindowSpan(scaleLength);
+  const inWindow = new Map();
+  const outside = new Map();
+
+  calcHandPositions(scaleLength, sd, lastStep).forEach(p => {
+    const status = (p.step === 0) ? 'ok' : checkHandPosition(p.distFromNut * 10, scaleMm, span);
+    const target = (status === 'ok') ? inWindow : outside;
+    if (!target.has(p.midi)) {
+      target.set(p.midi, { step: p.step, distFromNut: p.distFromNut, status: status });
+    }
+  });
+  return { inWindow: inWindow, outside: outside };
+}
+
+/**
+ * Check a tune against a tuning, stopping the strings up to lastStep, with
+ * the tune moved by `shift` semitones.
+ * Returns:
+ *  - notes: [{ midi, duration, bar, where, stringIndex, step, status }] where `where`
+ *    is 'melody', 'other', 'outside' or 'none' and stringIndex is into stringData
+ *  - shares: the part of the tune's length in each `where`, plus 'clash'
+ *  - clashes: [{ stringIndex, midis: [...] }] per string sounding open under
+ *    notes it clashes with
+ *  - score: 0..100 - melody-string notes count fully, other strings half,
+ *    and clashing notes take off half
+ */
+function analyseTune(tune, stringData, scaleLength, lastStep, shift = 0) {
+  const melody = getMelodyString(stringData);
+  const melodyIndex = stringData.indexOf(melody);
+  const stops = stringData.map(sd => mapStringStops(scaleLength, sd, lastStep));
+
+  const shares = { melody: 0, other: 0, outside: 0, none: 0, clash: 0 };
+  const clashes = stringData.map((sd, i) => ({ stringIndex: i, midis: new Set() }));
+  let total = 0;
+
+  const notes = tune.notes.map(note => {
+    const midi = note.midi + shift;
+    let placed = { where: 'none', stringIndex: null, step: null, status: null };
+
+    const onMelody = stops[melodyIndex].inWindow.get(midi);
+    if (onMelody) {
+      placed = { where: 'melody', stringIndex: melodyIndex, step: onMelody.step, status: 'ok' };
+    } else {
+      const otherIndex = stops.findIndex((s, i) => i !== melodyIndex && s.inWindow.has(midi));
+      if (otherIndex >= 0) {
+        placed = { where: 'other', stringIndex: otherIndex, step: stops[otherIndex].inWindow.get(midi).step, status: 'ok' };
+      } else if (stops[melodyIndex].outside.has(midi)) {
+        const p = stops[melodyIndex].outside.get(midi);
+        placed = { where: 'outside', stringIndex: melodyIndex, step: p.step, status: p.status };
+      }
+    }
+
+    // Every string but the one playing the note sounds open under it - the
+    // drones, and the melody string when the note is played on another string
+    let clashing = false;
+    stringData.forEach((sd, i) => {
+      if (i === placed.stringIndex) return;
+      const interval = (((midi - sd.midi) % 12) + 12) % 12;
+      if (DRONE_CLASH_INTERVALS.includes(interval)) {
+        clashes[i].midis.add(midi);
+        clashing = true;
+      }
+    });
+
+    total += note.duration;
+    shares[placed.where] += note.duration;
+    if (clashing) shares.clash += note.duration;
+    return Object.assign({ midi: midi, duration: note.duration, bar: note.bar }, placed);
+  });
+
+  Object.keys(shares).forEach(k => shares[k] = total > 0 ? shares[k] / total : 0);
+  const score = Math.round(100 * Math.max(0, shares.melody + 0.5 * shares.other - 0.5 * shares.clash));
+
+  return {
+    notes: notes,
+    shares: shares,
+    clashes: clashes
+      .filter(c => c.midis.size > 0)
+      .map(c => ({ stringIndex: c.stringIndex, midis: [...c.midis].sort((a, b) => a - b) })),
+    score: score
+  };
+}
+
+/**
+ * The octave shift that suits a tuning best, with its analysis.
+ * Returns the analyseTune result plus `shift`.
+ */
+function fitTuneToTuning(tune, stringData, scaleLength, lastStep) {
+  let best = null;
+  TUNE_OCTAVE_SHIFTS.forEach(shift => {
+    const result = analyseTune(tune, stringData, scaleLength, lastStep, shift);
+    if (best === null || result.score > best.score) {
+      best = Object.assign(result, { shift: shift });
+    }
+  });
+  return best;
+}
+
+/**
+ * Rank the feasible tunings for the pattern by how well they suit the tune,
+ * ties going to the better string fit. Returns [{ strings, fit }] best first.
+ */
+function rankTuningsForTune(tune, scaleLength, intervals, lastStep) {
+  return generateFeasibleTunings(scaleLength, intervals)
+    .filter(c => c.included && c.score > 0)
+    .map(c => ({ strings: c.strings, stringScore: c.score, fit: fitTuneToTuning(tune, c.strings, scaleLength, lastStep) }))
+    .sort((a, b) => (b.fit.score - a.fit.score) || (b.stringScore - a.stringScore));
+}
+
+/** "an octave lower", "2 octaves higher"... or '' for no shift. */
+function describeOctaveShift(shift) {
+  if (shift === 0) return '';
+  const octaves = Math.abs(shift / 12);
+  return `${octaves === 1 ? 'an octave' : `${octaves} octaves`} ${shift < 0 ? 'lower' : 'higher'}`;
+}
+
+/**
+ * Note names (with how often they occur) of the notes matching `filter`,
+ * lowest first, e.g. "F#5 ×3 (string 2, step 4)".
+ */
+function listTuneNotes(notes, filter, describe, useFlats) {
+  const groups = new Map();
+  notes.filter(filter).forEach(n => {
+    const group = groups.get(n.midi) || { note: n, count: 0 };
+    group.count++;
+    groups.set(n.midi, group);
+  });
+  return [...groups.keys()].sort((a, b) => a - b).map(midi => {
+    const g = groups.get(midi);
+    const extra = describe ? describe(g.note) : '';
+    return `${midiToNoteName(midi, useFlats)}${g.count > 1 ? ` ×${g.count}` : ''}${extra ? ` (${extra})` : ''}`;
+  }).join(', ');
+}
+
+/** A share of the tune as a whole percentage. */
+function formatShare(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+/**
+ * Tablature settings for a tune fitted to a tuning (see fitTuneToTuning).
+ * The strings run top to bottom as numbered in the tables (reversed from
+ * pattern order), with every string but the melody marked as a drone.
+ */
+function buildTablatureConfig(tune, stringData, fit, scaleLength) {
+  const melody = getMelodyString(stringData);
+  const last = stringData.length - 1;
+  const shiftText = describeOctaveShift(fit.shift);
+  return {
+    title: `${tune.title} - ${stringData.map(sd => sd.noteName).join(' ')}, ${scaleLength} cm scale`,
+    subtitle: `Key ${tune.key || '?'}${shiftText ? `, played ${shiftText}` : ''}. Score ${fit.score}.`,
+    strings: [...stringData].reverse().map(sd => ({ name: sd.noteName, drone: sd !== melody })),
+    notes: fit.notes.map(n => ({
+      row: (n.stringIndex === null) ? null : last - n.stringIndex,
+      step: n.step,
+      duration: n.duration,
+      bar: n.bar,
+      where: n.where
+    }))
+  };
+}
+
+/**
+ * The tablature of the last checked tune as a standalone SVG, or null if no
+ * tune has been checked.
+ */
+function getTablatureSvg() {
+  if (!lastTablatureConfig) return null;
+  const svg = drawTablatureSVG(lastTablatureConfig);
+  svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  return svg;
+}
+
+function handleTablatureSvgExport() {
+  const svg = getTablatureSvg();
+  if (!svg) return;
+  const text = new XMLSerializer().serializeToString(svg);
+  downloadFile('Tablature.svg', text, 'image/svg+xml');
+}
+
+/**
+ * Save the tablature on its own as an A4 PDF.
+ */
+function handleTablaturePdfExport() {
+  const svg = getTablatureSvg();
+  if (!svg) return;
+  const container = document.createElement('div');
+  container.style.width = '190mm';
+  svg.style.width = '100%';
+  svg.style.height = 'auto';
+  container.appendChild(svg);
+  document.body.appendChild(container);
+
+  const opt = {
+    margin: 10,
+    filename: 'Tablature.pdf',
+    image: { type: 'jpeg', quality: 0.98 },
+    html2canvas: { scale: 2, scrollY: 0 },
+    jsPDF: { unit: 'mm', format: 'a4', orientation: 'portrait' }
+  };
+  html2pdf().set(opt).from(container).save()
+    .catch(err => {
+      UIkit.notification({
+        message: escapeHtml(`The tablature PDF could not be saved (${err.message || err}).`),
+        status: 'warning'
+      });
+    })
+    .finally(() => container.remove());
+}
+
+/**
+ * Read the tune from the checker and report on it for the tuning in use, with
+ * the feasible tunings ranked for it.
+ */
+function handleCheckTune() {
+  const report = document.getElementById('tuneReport');
+  const parsed = parseAbcTune(document.getElementById('abcInput').value);
+  if (!parsed.tune) {
+    UIkit.notification({ message: `ABC: ${parsed.errors.join('; ')}.`, status: 'warning' });
+    report.innerHTML = '';
+    return;
+  }
+  setCurrentTune(parsed.tune);
+  renderTuneReport(parsed.errors);
+}
+
+/**
+ * Make a ranked tuning the custom tuning, so the design and the hand
+ * positions follow it, and check the tune on it.
+ */
+function useTuningForTune(notes) {
+  document.getElementById('customTuning').value = notes;
+  updateCustomTuningPickers();
+  updateCustomTuning();
+  if (document.querySelectorAll('#stringTable tbody tr').length > 0) {
+    calculateStrings();
+  }
+  renderTuneReport();
+}
+
+/**
+ * Fill the checker report for the loaded tune. `warnings` are parse problems.
+ */
+function renderTuneReport(warnings) {
+  const report = document.getElementById('tuneReport');
+  const tune = getCurrentTune();
+  if (!report || !tune) return;
+
+  const scaleLength = parseFloat(document.getElementById('scaleLength').value);
+  if (!validateScaleLength(scaleLength)) return;
+  if (!readReferencePitch()) return;
+  // Stops up to the hand-position range, so the tablature's steps are in its table
+  const lastStep = readHandRange();
+
+  // The melody's range and pitch classes
+  const midis = tune.notes.map(n => n.midi);
+  const lowest = Math.min(...midis);
+  const highest = Math.max(...midis);
+  const pitchClasses = [...new Set(midis.map(m => m % 12))].sort((a, b) => a - b)
+    .map(pc => pitchClassName(pc, tune.useFlats));
+  let html = `<h4>${escapeHtml(tune.title)}</h4>
+    <p class="uk-text-small">${escapeHtml(tune.source)}, key ${escapeHtml(tune.key || '?')} - ${tune.notes.length} notes from ${midiToNoteName(lowest, tune.useFlats)} to ${midiToNoteName(highest, tune.useFlats)} (${highest - lowest} semitones).
+      Pitch classes: ${pitchClasses.join(', ')}.</p>`;
+  if (warnings && warnings.length > 0) {
+    html += `<p class="uk-text-small uk-text-warning">${warnings.map(escapeHtml).join('<br>')}</p>`;
+  }
+
+  // The tuning in use
+  const tuning = getSelectedTuning(true);
+  if (tuning) {
+    const strings = tuning.strings;
+    const useFlats = tuningUsesFlats(strings);
+    const fit = fitTuneToTuning(tune, strings, scaleLength, lastStep);
+    const melody = getMelodyString(strings);
+    const stringName = i => `string ${strings.length - i} (${strings[i].noteName})`;
+    const shiftText = describeOctaveShift(fit.shift);
+
+    html += `<h5>On ${strings.map(sd => sd.noteName).join(' ')}${shiftText ? `, played ${shiftText}` : ''} - score ${fit.score}</h5><ul class="uk-list uk-list-bullet uk-text-small">`;
+    html += `<li>Melody string (${melody.noteName}), in the window: ${formatShare(fit.shares.melody)} of the tune.</li>`;
+
+    const other = listTuneNotes(fit.notes, n => n.where === 'other',
+      n => `${stringName(n.stringIndex)}, ${n.step === 0 ? 'open' : `step ${n.step}`}`, useFlats);
+    if (other) html += `<li>On another string (${formatShare(fit.shares.other)}): ${other}</li>`;
+
+    const statusText = { headstock: 'under the headstock', window: 'past the window', bridge: 'by the bridge' };
+    const outside = listTuneNotes(fit.notes, n => n.where === 'outside',
+      n => `step ${n.step}, ${statusText[n.status]}`, useFlats);
+    if (outside) html += `<li class="uk-text-warning">Outside the window (${formatShare(fit.shares.outside)}): ${outside}</li>`;
+
+    const none = listTuneNotes(fit.notes, n => n.where === 'none', null, useFlats);
+    if (none) html += `<li class="uk-text-danger">Not playable on this tuning within ${lastStep} steps (${formatShare(fit.shares.none)}): ${none}</li>`;
+
+    lastTablatureConfig = buildTablatureConfig(tune, strings, fit, scaleLength);
+
+    fit.clashes.forEach(c => {
+      const drone = strings[c.stringIndex];
+      const names = c.midis.map(m => `${midiToNoteName(m, useFlats)} (${INTERVAL_NAMES[(((m - drone.midi) % 12) + 12) % 12]})`);
+      const what = (drone === melody) ? `open ${drone.noteName} melody string` : `${drone.noteName} drone`;
+      html += `<li class="uk-text-warning">The ${what} clashes with ${names.join(', ')}.</li>`;
+    });
+    if (fit.clashes.length > 0) {
+      html += `<li>Clashing notes: ${formatShare(fit.shares.clash)} of the tune.</li>`;
+    } else {
+      html += `<li>No drone clashes (m2, tritone or M7).</li>`;
+    }
+    html += `</ul>`;
+  }
+
+  // Every feasible tuning of the pattern, best for the tune first
+  const intervals = updatePatternPreview();
+  if (intervals) {
+    const ranked = rankTuningsForTune(tune, scaleLength, intervals, lastStep).slice(0, TUNE_RANKING_SIZE);
+    html += `<h5>Best tunings for this tune (${escapeHtml(getActivePattern())} pattern)</h5>
+      <table class="uk-table uk-table-small uk-table-striped">
+        <thead><tr><th>#</th><th>Tuning</th><th>Tune</th><th>Melody string</th><th>Other strings</th><th>Clashes</th><th>Score</th><th></th></tr></thead>
+        <tbody>`;
+    ranked.forEach((r, idx) => {
+      html += `<tr>
+        <td>${idx + 1}</td>
+        <td>${r.strings.map(sd => sd.noteName).join(' ')}</td>
+        <td>${describeOctaveShift(r.fit.shift) || 'as written'}</td>
+        <td>${formatShare(r.fit.shares.melody)}</td>
+        <td>${formatShare(r.fit.shares.other)}</td>
+        <td>${formatShare(r.fit.shares.clash)}</td>
+        <td>${r.fit.score}</td>
+        <td><button type="button" class="uk-button uk-button-link" data-use-tuning="${formatCustomTuning(r.strings)}">Use</button></td>
+      </tr>`;
+    });
+    if (ranked.length === 0) {
+      html += `<tr><td colspan="8">No feasible tunings for this pattern and scale.</td></tr>`;
+    }
+    html += `</tbody></table>`;
+  }
+
+  report.innerHTML = html;
+
+  // Tablature for the tuning in use
+  const section = document.getElementById('tablatureSection');
+  const container = document.getElementById('tablatureContainer');
+  container.innerHTML = '';
+  if (tuning) {
+    const svg = drawTablatureSVG(lastTablatureConfig);
+    svg.style.width = '100%';
+    svg.style.height = 'auto';
+    container.appendChild(svg);
+  } else {
+    lastTablatureConfig = null;
+  }
+  section.hidden = !tuning;
+}
+
+document.addEventListener("DOMContentLoaded", function() {
+  const button = document.getElementById('checkTuneBtn');
+  if (!button) return;
+  button.addEventListener('click', handleCheckTune);
+  document.getElementById('tuneReport').addEventListener('click', (e) => {
+    const use = e.target.closest('[data-use-tuning]');
+    if (use) useTuningForTune(use.getAttribute('data-use-tuning'));
+  });
+  document.getElementById('tabSvgBtn').addEventListener('click', handleTablatureSvgExport);
+  document.getElementById('tabPdfBtn').addEventListener('click', handleTablaturePdfExport);
+});
@@ -0,0 +1,253 @@
+/* tuner.js */
+
+/**
+ * Tuning check from a recording. The audio is decoded in the browser, its
+ * fundamental is tracked frame by frame with the YIN algorithm, and each
+ * steady note found is matched to the nearest string of the selected tuning,
+ * reporting how many cents it is off the string's target in the selected
+ * temperament. Record the strings one after another (one file, or a file
+ * per string).
+ *
+ * YIN (de Cheveigné & Kawahara, 2002), for each lag τ from τ₀ (one below
+ * the period of maxFreq) to the period of minFreq:
+ *   d(τ)  = Σ (x[j] - x[j + τ])²
+ *   d'(τ) = d(τ) × (τ - τ₀ + 1) / Σ_{k=τ₀..τ} d(k)   (cumulative mean normalised)
+ * The period is the first τ where d' dips under a threshold, refined at its
+ * local minimum with parabolic interpolation. Shorter lags are not computed,
+ * so the mean is taken over the searched lags only.
+ */
+
+/** YIN dip threshold; lower is stricter about what counts as a pitch. */
+const YIN_THRESHOLD = 0.15;
+
+/** Analysed length limit (s), to keep long recordings responsive. */
+const TUNER_MAX_SECONDS = 60;
+
+/** Frames analysed between yields to the page, so it stays responsive. */
+const TUNER_FRAMES_PER_CHUNK = 20;
+
+/** Frames quieter than this fraction of the loudest frame are skipped. */
+const TUNER_SILENCE_RATIO = 0.05;
+
+/** A note is a run of frames within this many cents, lasting at least this long (s). */
+const TUNER_NOTE_SPREAD_CENTS = 50;
+const TUNER_MIN_NOTE_SECONDS = 0.3;
+
+/** Within this many cents a string counts as in tune. */
+const TUNER_IN_TUNE_CENTS = 5;
+
+/**
+ * Fundamental (Hz) of one frame of samples by YIN, searching minFreq..maxFreq.
+ * Returns { freq, clarity } (clarity 0..1), or null if no pitch is found.
+ */
+function detectPitchYin(samples, sampleRate, minFreq, maxFreq) {
+  const maxLag = Math.min(Math.floor(sampleRate / minFreq), Math.floor(samples.length / 2));
+  const minLag = Math.max(2, Math.floor(sampleRate / maxFreq));
+  const width = samples.length - maxLag;
+  if (maxLag <= minLag) return null;
+
+  const cmnd = new Float32Array(maxLag + 1).fill(1);
+  let runningSum = 0;
+  for (let tau = minLag - 1; tau <= maxLag; tau++) {
+    let sum = 0;
+    for (let j = 0; j < width; j++) {
+      const delta = samples[j] - samples[j + tau];
+      sum += delta * delta;
+    }
+    runningSum += sum;
+    cmnd[tau] = runningSum > 0 ? sum * (tau - minLag + 2) / runningSum : 1;
+  }
+
+  let tau = minLag;
+  while (tau < maxLag && cmnd[tau] >= YIN_THRESHOLD) tau++;
+  if (tau >= maxLag) return null;
+  while (tau + 1 < maxLag && cmnd[tau + 1] < cmnd[tau]) tau++;
+
+  // Parabola through the dip and its neighbours for a sub-sample period
+  const a = cmnd[tau - 1];
+  const b = cmnd[tau];
+  const c = cmnd[tau + 1];
+  const curve = a - 2 * b + c;
+  const period = tau + (curve > 0 ? (a - c) / (2 * curve) : 0);
+
+  return { freq: sampleRate / period, clarity: 1 - b };
+}
+
+/**
+ * Track the pitch through a recording (mono samples) frame by frame, the
+ * frames long enough for two periods of minFreq. Silent and unpitched frames
+ * are left out. The frames are analysed TUNER_FRAMES_PER_CHUNK at a time,
+ * yielding to the page in between and reporting the share done (0..1) to
+ * onProgress if given.
+ * Resolves to { points: [{ time, freq }], frameSeconds }.
+ */
+async function trackPitch(samples, sampleRate, minFreq, maxFreq, onProgress) {
+  const frameSize = Math.max(2048, 2 * Math.ceil(sampleRate / minFreq));
+  const length = Math.min(samples.length, Math.floor(TUNER_MAX_SECONDS * sampleRate));
+
+  const frames = [];
+  for (let start = 0; start + frameSize <= length; start += frameSize) {
+    const frame = samples.subarray(start, start + frameSize);
+    let energy = 0;
+    for (let i = 0; i < frame.length; i++) energy += frame[i] * frame[i];
+    frames.push({ start: start, frame: frame, rms: Math.sqrt(energy / frame.length) });
+  }
+  const loudest = frames.reduce((max, f) => Math.max(max, f.rms), 0);
+
+  const points = [];
+  for (let i = 0; i < frames.length; i++) {
+    if (i > 0 && i % TUNER_FRAMES_PER_CHUNK === 0) {
+      if (onProgress) onProgress(i / frames.length);
+      await new Promise(resolve => setTimeout(resolve));
+    }
+    const f = frames[i];
+    if (f.rms < loudest * TUNER_SILENCE_RATIO) continue;
+    const pitch = detectPitchYin(f.frame, sampleRate, minFreq, maxFreq);
+    if (pitch) points.push({ time: f.start / sampleRate, freq: pitch.freq });
+  }
+  return { points: points, frameSeconds: frameSize / sampleRate };
+}
+
+/** Median of a list of numbers. */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Split a pitch track (see trackPitch) into steady notes: runs of frames within
+ * TUNER_NOTE_SPREAD_CENTS of the run's first frame, long enough to count.
+ * Returns [{ start, end, freq }] with the median frequency of each note.
+ */
+function findSteadyNotes(track) {
+  const frameSeconds = track.frameSeconds;
+  const notes = [];
+  let run = [];
+  const close = () => {
+    if (run.length * frameSeconds >= TUNER_MIN_NOTE_SECONDS) {
+      notes.push({
+        start: run[0].time,
+        end: run[run.length - 1].time + frameSeconds,
+        freq: median(run.map(p => p.freq))
+      });
+    }
+    run = [];
+  };
+
+  track.points.forEach((p, i) => {
+    const gap = (i > 0) && (p.time - track.points[i - 1].time > frameSeconds * 1.5);
+    if (run.length > 0 && (gap || Math.abs(ratioToCents(p.freq / run[0].freq)) > TUNER_NOTE_SPREAD_CENTS)) {
+      close();
+    }
+    run.push(p);
+  });
+  close();
+  return notes;
+}
+
+/**
+ * Match a detected frequency to the nearest string target (by cents).
+ * Returns { index, cents } where index is into stringData.
+ */
+function matchStringTarget(freq, stringData) {
+  let best = null;
+  stringData.forEach((sd, index) => {
+    const cents = ratioToCents(freq / sd.freq);
+    if (best === null || Math.abs(cents) < Math.abs(best.cents)) best = { index: index, cents: cents };
+  });
+  return best;
+}
+
+/**
+ * Mix an AudioBuffer down to one channel.
+ */
+function mixToMono(audioBuffer) {
+  const mono = new Float32Array(audioBuffer.length);
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    const data = audioBuffer.getChannelData(c);
+    for (let i = 0; i < data.length; i++) mono[i] += data[i] / audioBuffer.numberOfChannels;
+  }
+  return mono;
+}
+
+/**
+ * Analyse recordings against the tuning in use and fill the tuner report.
+ */
+async function handleTunerFiles(e) {
+  const files = [...e.target.files];
+  e.target.value = '';
+  if (files.length === 0) return;
+  if (typeof OfflineAudioContext === 'undefined') {
+    UIkit.notification({
+      message: 'Decoding recordings is not supported in this browser.',
+      status: 'warning'
+    });
+    return;
+  }
+
+  const report = document.getElementById('tunerReport');
+  if (!readReferencePitch()) return;
+  const tuning = getSelectedTuning(true);
+  if (!tuning) return;
+
+  const stringData = tuning.strings;
+  const reversedStrings = [...stringData].reverse();
+  const useFlats = tuningUsesFlats(stringData);
+
+  // Search from a fifth below the lowest string to an octave above the highest
+  const freqs = stringData.map(sd => sd.freq);
+  const minFreq = Math.min(...freqs) / 1.5;
+  const maxFreq = Math.max(...freqs) * 2;
+
+  let html = `<p class="uk-text-small">Targets: ${reversedStrings.map((sd, i) => `${i+1} ${sd.noteName} ${sd.freq.toFixed(2)} Hz`).join(', ')} - ${escapeHtml(getTemperamentName())}, A4 = ${getReferencePitch()} Hz.</p>`;
+
+  for (const file of files) {
+    let notes;
+    try {
+      report.innerHTML = `<p class="uk-text-small">Analysing ${escapeHtml(file.name)}...</p><progress class="uk-progress" value="0" max="100"></progress>`;
+      const progress = report.querySelector('progress');
+      const decoder = new OfflineAudioContext(1, 1, PREVIEW_SAMPLE_RATE);
+      const audio = await decoder.decodeAudioData(await file.arrayBuffer());
+      const track = await trackPitch(mixToMono(audio), audio.sampleRate, minFreq, maxFreq, done => {
+        progress.value = Math.round(done * 100);
+      });
+      notes = findSteadyNotes(track);
+    } catch (err) {
+      html += `<p class="uk-text-danger">${escapeHtml(file.name)}: could not be decoded (${escapeHtml(err.message || String(err))}).</p>`;
+      continue;
+    }
+
+    html += `<h5>${escapeHtml(file.name)}</h5>`;
+    if (notes.length === 0) {
+      html += `<p class="uk-text-small uk-text-warning">No steady note found between ${minFreq.toFixed(0)} and ${maxFreq.toFixed(0)} Hz - let each string ring for at least ${TUNER_MIN_NOTE_SECONDS} s.</p>`;
+      continue;
+    }
+
+    html += `<table class="uk-table uk-table-small uk-table-striped uk-text-small">
+      <thead><tr><th>Time (s)</th><th>Detected</th><th>String</th><th>Offset</th><th></th></tr></thead><tbody>`;
+    notes.forEach(note => {
+      const match = matchStringTarget(note.freq, stringData);
+      const sd = stringData[match.index];
+      const stringNumber = reversedStrings.indexOf(sd) + 1;
+      const inTune = Math.abs(match.cents) <= TUNER_IN_TUNE_CENTS;
+      const advice = inTune ? 'In tune' : (match.cents > 0 ? 'Sharp - tune down' : 'Flat - tune up');
+      html += `<tr class="${inTune ? '' : 'uk-text-warning'}">
+        <td>${note.start.toFixed(1)}–${note.end.toFixed(1)}</td>
+        <td>${note.freq.toFixed(2)} Hz (${getNearestNoteName(note.freq, useFlats)})</td>
+        <td>${stringNumber} (${sd.noteName})</td>
+        <td>${formatCents(match.cents)}</td>
+        <td>${advice}</td>
+      </tr>`;
+    });
+    html += `</tbody></table>`;
+  }
+
+  report.innerHTML = html;
+}
+
+document.addEventListener("DOMContentLoaded", function() {
+  const input = document.getElementById('tunerFile');
+  if (!input) return;
+  input.addEventListener('change', handleTunerFiles);
+});